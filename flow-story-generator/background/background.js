@@ -1,18 +1,103 @@
 /**
  * Flow Story Generator - Background Service Worker
- * Handles downloads and background tasks
+ * Owns the persisted generation job, drives the content script scene by
+ * scene, and handles downloads
  */
 
+importScripts('../lib/messaging.js', '../lib/asset-store.js', '../lib/zip.js', '../lib/scene-graph.js', '../lib/activity-log.js');
+
+// Persisted job key in chrome.storage.local
+const JOB_STORAGE_KEY = 'flowStoryJob';
+const FLOW_URL_PATTERN = 'https://labs.google/fx/*';
+const FLOW_TOOL_URL = 'https://labs.google/fx/tools/flow';
+
+// Bundled offline copy of Flow's page (mock/flow.html), which loads the
+// content scripts itself; runs there work like runs in Flow
+const MOCK_FLOW_URL = chrome.runtime.getURL('mock/flow.html');
+const FLOW_TAB_PATTERNS = [FLOW_URL_PATTERN, `${MOCK_FLOW_URL}*`];
+
+// Serializes every read-modify-write of the persisted job
+let jobLock = Promise.resolve();
+
+// Wakes the dispatcher when the next tab's delay is over. The service
+// worker is stopped after about 30 seconds idle, taking timers with it, so
+// longer waits (a slow pace after cool-downs) use DISPATCH_ALARM instead.
+let dispatchTimer = null;
+const DISPATCH_ALARM = 'flowStoryDispatch';
+const DISPATCH_TIMER_MAX_MS = 25 * 1000;
+
+// A tab that turns a scene down because it is still busy, or whose content
+// script cannot take it yet, is tried again after this long
+const BUSY_RETRY_MS = 5000;
+
+// Tabs whose content script is loaded (or was injected) but does not
+// answer, by tab id -> tries in a row. After CONTENT_SILENT_LIMIT tries
+// the tab is reloaded, which loads the content scripts afresh.
+const silentTabs = new Map();
+const CONTENT_SILENT_LIMIT = 3;
+
+// Cool-down after Flow signals a rate limit or an exhausted quota: doubles
+// with every signal in a row, with +/- 20% jitter. After COOLDOWN_MAX_ROUNDS
+// in a row the job stays paused until it is resumed by hand.
+const COOLDOWN_ALARM = 'flowStoryCooldown';
+const COOLDOWN_BASE_MS = 60 * 1000;
+const COOLDOWN_MAX_MS = 30 * 60 * 1000;
+const COOLDOWN_MAX_ROUNDS = 5;
+
+// The delay between prompts is multiplied by the job's pace, which doubles
+// with every cool-down (up to PACE_MAX) and halves again after
+// PACE_RECOVERY scenes in a row succeed
+const PACE_MAX = 8;
+const PACE_RECOVERY = 5;
+
+// Generations (Create clicks) used per day, kept across sessions for the
+// daily budget
+const USAGE_STORAGE_KEY = 'flowStoryUsage';
+
+// Storyboards waiting to run after the current job, in order, and the
+// alarm that starts the first one at its start time
+const QUEUE_STORAGE_KEY = 'flowStoryQueue';
+const QUEUE_ALARM = 'flowStoryQueue';
+
+// Finished runs, newest first, for the history page. Their stored images
+// are kept until a run drops out of the history.
+const HISTORY_STORAGE_KEY = 'flowStoryHistory';
+const HISTORY_LIMIT = 30;
+
+// Activity log of each run, one storage key per run plus an index of the
+// runs that have one. A run's log holds everything from its start until
+// the next run starts; entries before the first run go to LOG_NO_RUN
+// (see lib/activity-log.js). Entries are written in batches, LOG_FLUSH_MS
+// after the first of a batch.
+const LOG_STORAGE_PREFIX = 'flowStoryLog_';
+const LOG_INDEX_KEY = 'flowStoryLogRuns';
+const LOG_LIMIT = 5000;
+const LOG_FLUSH_MS = 1000;
+
+// Entries waiting to be written, by log id
+const logBuffer = new Map();
+let logFlushTimer = null;
+let logFlushing = Promise.resolve();
+let logCounter = 0;
+
+// Id of the current job, which new entries belong to. Kept up to date by
+// loadJob and saveJob; logReady resolves once it is known after the
+// service worker starts.
+let logRunId = null;
+let logReady = Promise.resolve();
+
 // Download queue state
 const downloadState = {
   isDownloading: false,
   queue: [],
   completed: 0,
   total: 0,
-  prefix: 'story',
   delay: 500
 };
 
+// Default download filename template (see buildFilename)
+const DEFAULT_FILENAME_TEMPLATE = 'story_{scene}';
+
 /**
  * Sleep for specified milliseconds
  */
@@ -44,6 +129,110 @@ async function downloadImage(url, filename) {
   });
 }
 
+/**
+ * Local date as YYYY-MM-DD
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatDate(timestamp) {
+  const date = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Short filename-safe slug from a prompt
+ * @param {string} text - Prompt text
+ * @returns {string}
+ */
+function slugify(text) {
+  const slug = text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  if (slug.length <= 40) return slug;
+  const cut = slug.substring(0, 40);
+  return cut.includes('-') ? cut.substring(0, cut.lastIndexOf('-')) : cut;
+}
+
+/**
+ * Remove characters that are not allowed in a file or folder name
+ * @param {string} name - Raw name
+ * @returns {string}
+ */
+function sanitizeFilename(name) {
+  return name
+    .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s.]+|[\s.]+$/g, '')
+    .substring(0, 120);
+}
+
+/**
+ * Build a download filename (without extension) from a template. Tokens:
+ * {run}, {scene} (zero-padded scene number), {variant}, {slug}, {date},
+ * {character}. Alternates get "_{variant}" appended when the template
+ * has no {variant} token.
+ * @param {string} template - Filename template
+ * @param {Object} item - Ledger image (see getLedgerImages)
+ * @param {Object} job - Job
+ * @returns {string}
+ */
+function buildFilename(template, item, job) {
+  const scene = job.scenes[item.sceneNumber - 1];
+  const width = Math.max(3, String(job.scenes.length).length);
+  const tokens = {
+    run: job.id,
+    scene: String(item.sceneNumber).padStart(width, '0'),
+    variant: String(item.variant),
+    slug: slugify(scene.title || item.prompt),
+    date: formatDate(job.createdAt),
+    character: (scene.characters || []).join('-') || 'none'
+  };
+
+  const pattern = template || DEFAULT_FILENAME_TEMPLATE;
+  let name = pattern.replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match));
+
+  if (!pattern.includes('{variant}') && item.variant > 1) {
+    name += `_${item.variant}`;
+  }
+
+  return sanitizeFilename(name) || `scene_${tokens.scene}`;
+}
+
+/**
+ * Downloads subfolder for a run
+ * @param {Object} job - Job
+ * @returns {string}
+ */
+function runFolderName(job) {
+  return sanitizeFilename(`${formatDate(job.createdAt)}_${job.id}`);
+}
+
+/**
+ * Put the images recorded for a run in the download queue
+ * @param {Object} job - Job
+ * @param {Object} options - { template, subfolder, alternates, delay }
+ * @returns {number} Number of images queued
+ */
+function queueRunDownload(job, options) {
+  const images = getLedgerImages(job, options.alternates !== false);
+  if (images.length === 0) return 0;
+
+  const template = options.template || DEFAULT_FILENAME_TEMPLATE;
+  const folder = options.subfolder === false ? '' : `${runFolderName(job)}/`;
+
+  downloadState.queue = images.map(image => ({
+    ...image,
+    basename: folder + buildFilename(template, image, job)
+  }));
+  downloadState.delay = options.delay || 500;
+  return images.length;
+}
+
 /**
  * Process download queue
  */
@@ -59,12 +248,21 @@ async function processDownloadQueue() {
   for (let i = 0; i < downloadState.queue.length; i++) {
     const item = downloadState.queue[i];
 
-    // Generate filename with padding
-    const paddedIndex = String(i + 1).padStart(3, '0');
-    const filename = `${downloadState.prefix}_${paddedIndex}.png`;
+    // Filename comes from the scene number, so a failed download leaves no
+    // gap in later names. The extension comes from the image content type.
+    let filename = `${item.basename}.png`;
 
     try {
-      const success = await downloadImage(item.url, filename);
+      let url = item.url;
+      try {
+        const blob = await loadImageBlob(item);
+        filename = `${item.basename}.${extensionForType(blob.type)}`;
+        url = await blobToDataUrl(blob);
+      } catch (error) {
+        console.error(`[Flow Story Generator] Could not load ${item.basename}, trying the Flow URL:`, error);
+      }
+
+      const success = await downloadImage(url, filename);
 
       if (success) {
         downloadState.completed++;
@@ -105,64 +303,2291 @@ async function processDownloadQueue() {
 }
 
 /**
- * Broadcast message to all extension contexts
+ * File extension for an image MIME type
+ * @param {string} type - MIME type
+ * @returns {string}
+ */
+function extensionForType(type) {
+  switch ((type || '').split(';')[0].trim()) {
+    case 'image/jpeg':
+      return 'jpg';
+    case 'image/webp':
+      return 'webp';
+    case 'image/gif':
+      return 'gif';
+    case 'image/avif':
+      return 'avif';
+    default:
+      return 'png';
+  }
+}
+
+/**
+ * Quote a value for a CSV cell
+ */
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Image bytes for the export: the stored copy, or a fresh fetch from Flow
+ * @param {Object} item - Ledger image ({ url, assetKey })
+ * @returns {Promise<Blob>}
+ */
+async function loadImageBlob(item) {
+  if (item.assetKey) {
+    const asset = await getAsset(item.assetKey);
+    if (asset) return asset.blob;
+  }
+
+  const response = await fetch(item.url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.blob();
+}
+
+/**
+ * Export a run as one ZIP with its images, a manifest.json and a
+ * prompts.csv mapping each file to its scene
+ * @param {Object|null} job - Job or archived run
+ * @param {string} template - Filename template (see buildFilename)
+ * @param {boolean} includeAlternates - Include the variants that don't continue the chain
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function exportRunZip(job, template, includeAlternates) {
+  const images = job ? getLedgerImages(job, includeAlternates) : [];
+  if (images.length === 0) {
+    return { success: false, error: 'No generated images recorded for that run' };
+  }
+
+  sendLogToPopup(`Building ZIP with ${images.length} images...`, 'info');
+
+  const files = [];
+  const records = [];
+  // Templates without {scene} or {slug} give several images the same
+  // name; the listings go in last under their own names
+  const taken = new Set(['manifest.json', 'prompts.csv']);
+
+  for (let i = 0; i < images.length; i++) {
+    const item = images[i];
+    const scene = job.scenes[item.sceneNumber - 1];
+    const entry = job.ledger[item.sceneNumber - 1];
+
+    let blob;
+    try {
+      blob = await loadImageBlob(item);
+    } catch (error) {
+      sendLogToPopup(`Skipping scene ${item.sceneNumber} image: ${error.message}`, 'warning', item.sceneNumber);
+      continue;
+    }
+
+    const filename = uniqueZipName(`${buildFilename(template, item, job)}.${extensionForType(blob.type)}`, taken);
+    files.push({
+      name: filename,
+      data: new Uint8Array(await blob.arrayBuffer()),
+      date: new Date(entry.endedAt || Date.now())
+    });
+
+    records.push({
+      file: filename,
+      sceneNumber: item.sceneNumber,
+      variant: item.variant,
+      selected: item.selected,
+      sceneId: item.sceneId,
+      title: scene.title || null,
+      prompt: item.prompt,
+      characters: scene.characters || [],
+      attempts: entry.attempts,
+      startedAt: entry.startedAt ? new Date(entry.startedAt).toISOString() : null,
+      endedAt: entry.endedAt ? new Date(entry.endedAt).toISOString() : null,
+      imageId: item.id
+    });
+  }
+
+  if (files.length === 0) {
+    return { success: false, error: 'None of the images could be loaded' };
+  }
+
+  const manifest = {
+    run: job.id,
+    createdAt: new Date(job.createdAt).toISOString(),
+    exportedAt: new Date().toISOString(),
+    status: job.status,
+    settings: job.settings,
+    preset: job.preset || null,
+    files: records
+  };
+
+  const csvHeader = ['file', 'scene', 'variant', 'selected', 'scene_id', 'title', 'prompt', 'characters', 'attempts', 'started_at', 'ended_at'];
+  const csvRows = records.map(record => [
+    record.file,
+    record.sceneNumber,
+    record.variant,
+    record.selected ? 'yes' : 'no',
+    record.sceneId,
+    record.title,
+    record.prompt,
+    record.characters.map(name => `@${name}`).join(' '),
+    record.attempts,
+    record.startedAt,
+    record.endedAt
+  ].map(csvCell).join(','));
+
+  files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+  files.push({ name: 'prompts.csv', data: [csvHeader.join(','), ...csvRows].join('\r\n') + '\r\n' });
+
+  const zipName = `${runFolderName(job)}.zip`;
+  const success = await downloadImage(await blobToDataUrl(createZip(files)), zipName);
+
+  if (!success) {
+    return { success: false, error: 'Chrome refused the ZIP download' };
+  }
+
+  console.log(`[Flow Story Generator] Exported ${records.length} images to ${zipName}`);
+  return { success: true, filename: zipName, total: records.length };
+}
+
+/**
+ * Whether a URL is a Flow page or the mock Flow page
+ * @param {string} url - Tab URL
+ * @returns {boolean}
+ */
+function isFlowUrl(url) {
+  return !!url && (url.startsWith('https://labs.google/fx/') || url.startsWith(MOCK_FLOW_URL));
+}
+
+/**
+ * Broadcast an event to the extension pages and the Flow tabs it goes to.
+ * Progress and completion wait for the popup if it is closed.
+ * @param {Object} message - { action, data }
  */
 function broadcastMessage(message) {
-  // Send to popup if open
-  chrome.runtime.sendMessage(message).catch(() => {
-    // Popup might be closed, ignore error
+  const type = MESSAGE_TYPES[message.action];
+
+  if (type.to.includes('page')) {
+    sendEvent(message.action, message.data, { to: 'page' });
+  }
+
+  // The mock Flow page is an extension page and takes page events
+  if (type.to.includes('content')) {
+    chrome.tabs.query({ url: FLOW_URL_PATTERN }, (tabs) => {
+      tabs.forEach(tab => sendEvent(message.action, message.data, { tabId: tab.id }));
+    });
+  }
+}
+
+/**
+ * Load the persisted job
+ * @returns {Promise<Object|null>}
+ */
+async function loadJob() {
+  const result = await chrome.storage.local.get(JOB_STORAGE_KEY);
+  const job = result[JOB_STORAGE_KEY] || null;
+  if (job) {
+    upgradeJob(job);
+  }
+  logRunId = job ? job.id : null;
+  return job;
+}
+
+/**
+ * Bring a job saved by an earlier version up to date. Before runs could
+ * use several tabs, the job's tab becomes the only worker and the queue
+ * keeps the scenes not started yet; before pacing, the job starts at
+ * normal pace with nothing used from its budget.
+ * @param {Object} job - Persisted job
+ */
+function upgradeJob(job) {
+  if (!job.workers) {
+    const started = [job.dispatch && job.dispatch.index, job.review && job.review.index];
+    job.workers = [{ tabId: job.tabId, dispatch: job.dispatch || null, readyAt: 0, opened: false }];
+    job.tabLimit = 1;
+    job.total = job.queue.length;
+    job.queue = job.queue.slice(job.position).filter(index => !started.includes(index));
+    delete job.tabId;
+    delete job.dispatch;
+  }
+
+  if (!job.backoff) {
+    job.backoff = createBackoff();
+    job.generations = 0;
+  }
+}
+
+/**
+ * Initial rate-limit state of a job
+ * @returns {Object} { rounds, pace, streak, until }
+ */
+function createBackoff() {
+  return {
+    // Cool-downs in a row without a successful scene
+    rounds: 0,
+    // Multiplier for the delay between prompts
+    pace: 1,
+    // Successful scenes since the pace last changed
+    streak: 0,
+    // End of the current cool-down
+    until: null
+  };
+}
+
+/**
+ * Generations used today
+ * @returns {Promise<Object>} { day: 'YYYY-MM-DD', generations }
+ */
+async function loadUsage() {
+  const result = await chrome.storage.local.get(USAGE_STORAGE_KEY);
+  const usage = result[USAGE_STORAGE_KEY];
+  const today = formatDate(Date.now());
+  return usage && usage.day === today ? usage : { day: today, generations: 0 };
+}
+
+/**
+ * Add generations to today's usage
+ * @param {number} count - Create clicks
+ */
+async function recordUsage(count) {
+  if (!count) return;
+  const usage = await loadUsage();
+  usage.generations += count;
+  await chrome.storage.local.set({ [USAGE_STORAGE_KEY]: usage });
+}
+
+/**
+ * Generations the job may still start: what is left of the tighter of the
+ * daily and run budgets, minus the attempts reserved by scenes in flight
+ * @param {Object} job - Job
+ * @returns {Promise<Object>} { available, name } (available is Infinity without a budget)
+ */
+async function getGenerationBudget(job) {
+  const { dailyBudget, runBudget, dryRun } = job.settings;
+  const budgets = [];
+
+  // Dry runs never click Create
+  if (dryRun) {
+    return { available: Infinity, name: null };
+  }
+
+  if (dailyBudget > 0) {
+    const usage = await loadUsage();
+    budgets.push({ name: `Daily generation budget (${dailyBudget})`, left: dailyBudget - usage.generations });
+  }
+  if (runBudget > 0) {
+    budgets.push({ name: `Run generation budget (${runBudget})`, left: runBudget - job.generations });
+  }
+
+  if (budgets.length === 0) {
+    return { available: Infinity, name: null };
+  }
+
+  const reserved = job.workers.reduce((sum, worker) => sum + (worker.dispatch ? worker.dispatch.reserved || 0 : 0), 0);
+  const tightest = budgets.sort((a, b) => a.left - b.left)[0];
+  return { available: tightest.left - reserved, name: tightest.name };
+}
+
+/**
+ * Load the archived runs, newest first
+ * @returns {Promise<Array>} Jobs as they were when they ended
+ */
+async function loadHistory() {
+  const result = await chrome.storage.local.get(HISTORY_STORAGE_KEY);
+  return (result[HISTORY_STORAGE_KEY] || []).map(run => {
+    upgradeJob(run);
+    return run;
   });
+}
 
-  // Send to all tabs with content script
-  chrome.tabs.query({ url: 'https://labs.google/fx/*' }, (tabs) => {
-    tabs.forEach(tab => {
-      chrome.tabs.sendMessage(tab.id, message).catch(() => {
-        // Tab might not have content script, ignore
-      });
+/**
+ * Load a run by id: the current job or an archived run
+ * @param {string|undefined} runId - Job id; the current job when omitted
+ * @returns {Promise<Object|null>}
+ */
+async function loadRun(runId) {
+  const job = await loadJob();
+  if (!runId || (job && job.id === runId)) return job;
+  return (await loadHistory()).find(run => run.id === runId) || null;
+}
+
+/**
+ * Add a run that ended to the history, replacing an earlier copy of it
+ * (after a re-run of its failed scenes)
+ * @param {Object} job - Job
+ */
+async function archiveJob(job) {
+  const history = (await loadHistory()).filter(run => run.id !== job.id);
+  history.unshift(job);
+  await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history.slice(0, HISTORY_LIMIT) });
+  broadcastMessage({ action: 'HISTORY_UPDATED' });
+}
+
+/**
+ * Remove a run from the history and delete its stored images
+ * @param {string} runId - Job id
+ * @returns {Promise<Object>} Response for the history page
+ */
+async function deleteRun(runId) {
+  return withJob(async (job) => {
+    const history = await loadHistory();
+    if (!history.some(run => run.id === runId)) {
+      return { success: false, error: 'That run is not in the history' };
+    }
+
+    await chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: history.filter(run => run.id !== runId) });
+    await pruneRunAssets(job);
+    broadcastMessage({ action: 'HISTORY_UPDATED' });
+    return { success: true };
+  });
+}
+
+/**
+ * Delete the stored images no longer used by the current job or the
+ * history (images of carried-over scenes are shared between runs)
+ * @param {Object|null} job - Current job
+ */
+async function pruneRunAssets(job) {
+  const runs = [...(job ? [job] : []), ...(await loadHistory())];
+  const keep = new Set();
+  runs.forEach(run => {
+    getLedgerImages(run).forEach(image => {
+      if (image.assetKey) keep.add(image.assetKey);
     });
   });
+
+  try {
+    await pruneAssets(keep);
+  } catch (error) {
+    console.error('[Flow Story Generator] Could not prune stored images:', error);
+  }
+
+  await pruneRunLogs(runs.map(run => run.id));
 }
 
 /**
- * Message listener
+ * History page view of a run
+ * @param {Object} job - Job or archived run
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  switch (message.action) {
-    case 'DOWNLOAD_IMAGES':
-      if (message.data && message.data.images) {
-        downloadState.queue = message.data.images;
-        downloadState.prefix = message.data.prefix || 'story';
-        downloadState.delay = message.data.delay || 500;
-        processDownloadQueue();
-        sendResponse({ success: true, total: message.data.images.length });
-      } else {
-        sendResponse({ success: false, error: 'No images provided' });
+function summarizeRun(job) {
+  const counts = { done: 0, failed: 0, skipped: 0, pending: 0 };
+  job.ledger.forEach(entry => {
+    const status = entry.status in counts ? entry.status : 'pending';
+    counts[status]++;
+  });
+
+  return {
+    id: job.id,
+    name: job.name || null,
+    status: job.status,
+    reason: job.reason || null,
+    createdAt: job.createdAt,
+    endedAt: job.updatedAt || null,
+    tabUrl: job.tabUrl,
+    settings: job.settings,
+    preset: job.preset || null,
+    characters: sceneCharacters(job.scenes, job.characters).map(character => ({ name: character.name, images: character.images })),
+    counts,
+    // One thumbnail per finished scene: the variant that continued the chain
+    scenes: job.scenes.map((scene, index) => {
+      const entry = job.ledger[index];
+      const image = entry.status === 'done' ? entry.images[entry.selected ?? 0] : null;
+      return {
+        id: scene.id,
+        title: scene.title || null,
+        prompt: scene.prompt,
+        status: entry.status,
+        image: image ? { url: image.url, assetKey: image.asset ? image.asset.key : null } : null
+      };
+    })
+  };
+}
+
+/**
+ * Queue a copy of an archived run as a new run of all its scenes
+ * @param {string} runId - Job id
+ * @param {Object} download - Download options for the new run
+ * @returns {Promise<Object>} Response for the history page
+ */
+async function cloneRun(runId, download) {
+  const run = await loadRun(runId);
+  if (!run) {
+    return { success: false, error: 'That run is no longer available' };
+  }
+
+  return enqueueJob({
+    tabUrl: run.tabUrl,
+    scenes: run.scenes,
+    characters: run.characters,
+    settings: run.settings,
+    preset: run.preset,
+    range: null,
+    name: `${run.name || run.id} (copy)`,
+    download
+  });
+}
+
+/**
+ * Persist the job
+ * @param {Object} job - Job to save
+ */
+async function saveJob(job) {
+  job.updatedAt = Date.now();
+  logRunId = job.id;
+  await chrome.storage.local.set({ [JOB_STORAGE_KEY]: job });
+}
+
+/**
+ * Run a function with exclusive access to the persisted job. The function
+ * receives the current job (or null) and must call saveJob itself after
+ * changing it.
+ * @param {Function} fn - async (job) => result
+ * @returns {Promise<*>} The function's result
+ */
+function withJob(fn) {
+  const run = jobLock.then(async () => fn(await loadJob()));
+  jobLock = run.catch((error) => {
+    console.error('[Flow Story Generator] Job update failed:', error);
+  });
+  return run;
+}
+
+/**
+ * Public view of a job, without the character image data
+ */
+function summarizeJob(job) {
+  if (!job) return null;
+
+  const running = getRunningScenes(job);
+
+  return {
+    id: job.id,
+    status: job.status,
+    reason: job.reason || null,
+    position: job.position,
+    total: job.total,
+    currentIndex: running[0] ?? (job.review ? job.review.index : job.queue[0] ?? null),
+    scenes: job.scenes.map(scene => ({ id: scene.id, title: scene.title, prompt: scene.prompt })),
+    ledger: job.ledger.map(entry => ({
+      status: entry.status,
+      attempts: entry.attempts,
+      images: entry.images.length,
+      selected: entry.selected,
+      // Reference images the scene adds, and how many were seen attached
+      references: {
+        expected: entry.references.reduce((total, reference) => total + (reference.images || 0), 0),
+        confirmed: entry.references.reduce((total, reference) => total + (reference.confirmed || 0), 0)
+      },
+      startedAt: entry.startedAt,
+      endedAt: entry.endedAt,
+      failure: entry.failure || null
+    })),
+    running,
+    tabs: job.workers.length,
+    review: job.review ? job.review.index : null
+  };
+}
+
+/**
+ * Progress message data for a scene of the job
+ * @param {Object} job - Job
+ * @param {number} index - Scene index
+ * @param {number} current - Number of queued scenes finished
+ */
+function progressData(job, index, current) {
+  const scene = job.scenes[index];
+  return {
+    current,
+    total: job.total,
+    sceneNumber: index + 1,
+    sceneId: scene.id,
+    title: scene.title || null,
+    prompt: scene.prompt
+  };
+}
+
+/**
+ * Key identifying a scene across jobs: same id and same prompt
+ */
+function sceneKey(scene) {
+  return `${scene.id}\n${scene.prompt}`;
+}
+
+/**
+ * Create an empty run ledger entry for a scene. The ledger is the record
+ * of what each scene produced; downloads and progress read from it rather
+ * than from the page.
+ * @param {Object} scene - Scene
+ * @returns {Object} { sceneId, prompt, status, attempts, startedAt, endedAt, tabId, images, selected, references, failure }
+ */
+function createLedgerEntry(scene) {
+  return {
+    sceneId: scene.id,
+    prompt: scene.prompt,
+    status: 'pending',
+    attempts: 0,
+    startedAt: null,
+    endedAt: null,
+    // Flow tab the scene ran in; its images are only on that tab's page
+    tabId: null,
+    images: [],
+    // Index of the variant in images that continues the chain
+    selected: null,
+    references: [],
+    failure: null
+  };
+}
+
+/**
+ * The characters a job's scenes are tagged with. Each job and history
+ * entry keeps its own copy of their images, so the rest of the library
+ * stays out of them.
+ * @param {Array} scenes - Job scenes
+ * @param {Array} characters - Character library ({ name, images })
+ * @returns {Array}
+ */
+function sceneCharacters(scenes, characters) {
+  const tagged = new Set(scenes.flatMap(scene => scene.characters || []));
+  return (characters || []).filter(character => tagged.has(character.name));
+}
+
+/**
+ * Ledger for a new job's scenes, reusing the previous job's entries for
+ * unchanged scenes so a partial run can chain from earlier images
+ * @param {Array} scenes - New job scenes
+ * @param {Object|null} previous - Previous job
+ * @returns {Array} Ledger entries
+ */
+function carryOverLedger(scenes, previous) {
+  const previousEntries = new Map();
+  if (previous && previous.ledger) {
+    previous.scenes.forEach((scene, i) => {
+      previousEntries.set(sceneKey(scene), previous.ledger[i]);
+    });
+  }
+
+  return scenes.map(scene => {
+    const entry = previousEntries.get(sceneKey(scene));
+    return entry && entry.status === 'done' ? structuredClone(entry) : createLedgerEntry(scene);
+  });
+}
+
+/**
+ * Pick the variant of a scene that continues the chain
+ * @param {Array} images - Variant set of the scene, in page order
+ * @param {string} strategy - 'first' | 'last'
+ * @returns {number} Index into images
+ */
+function chooseVariant(images, strategy) {
+  return strategy === 'last' ? images.length - 1 : 0;
+}
+
+/**
+ * The images a scene continues from: the selected variant of each scene
+ * it chains from. Generated images only show up on the page of the tab
+ * that made them, so images from other tabs come with a copy to upload.
+ * @param {Object} job - Job
+ * @param {number} index - Scene index
+ * @param {number} tabId - Tab the scene runs in
+ * @returns {Promise<Array>} { url, dataUrl|null }
+ */
+async function getChainImages(job, index, tabId) {
+  const images = [];
+
+  for (const parent of getSceneParents(job.scenes, index)) {
+    // Only approved images continue the chain; skipped scenes keep theirs
+    // in the ledger but are not used
+    const entry = job.ledger[parent];
+    if (!entry || entry.status !== 'done' || entry.images.length === 0) {
+      // Dry runs make no images, so there is nothing to chain
+      if (job.settings.dryRun) continue;
+      sendLogToPopup(`Scene ${parent + 1} has no approved image, scene ${index + 1} will not be chained to it`, 'warning', index + 1);
+      continue;
+    }
+
+    const image = entry.images[entry.selected ?? 0];
+    let dataUrl = null;
+    if (entry.tabId !== tabId) {
+      try {
+        const blob = await loadImageBlob({ url: image.url, assetKey: image.asset ? image.asset.key : null });
+        dataUrl = await blobToDataUrl(blob);
+      } catch (error) {
+        sendLogToPopup(`Could not load the scene ${parent + 1} image for scene ${index + 1} (${error.message})`, 'warning', index + 1);
       }
-      break;
+    }
+    images.push({ url: image.url, dataUrl });
+  }
 
-    case 'DOWNLOAD_SINGLE':
-      if (message.data && message.data.url) {
-        downloadImage(message.data.url, message.data.filename || 'flow_image.png')
-          .then(success => sendResponse({ success }));
-        return true; // Async response
+  return images;
+}
+
+/**
+ * All images recorded in the ledger, in scene order
+ * @param {Object} job - Job
+ * @param {boolean} includeAlternates - Include the variants that don't continue the chain
+ * @returns {Array} { url, id, assetKey, sceneNumber, variant, selected, sceneId, prompt }
+ */
+function getLedgerImages(job, includeAlternates = true) {
+  const images = [];
+  job.ledger.forEach((entry, index) => {
+    if (entry.status !== 'done') return;
+    entry.images.forEach((image, variant) => {
+      const selected = variant === (entry.selected ?? 0);
+      if (!selected && !includeAlternates) return;
+
+      images.push({
+        url: image.url,
+        id: image.id,
+        assetKey: image.asset ? image.asset.key : null,
+        sceneNumber: index + 1,
+        variant: variant + 1,
+        selected,
+        sceneId: entry.sceneId,
+        prompt: entry.prompt
+      });
+    });
+  });
+  return images;
+}
+
+/**
+ * Fetch a scene's new images while their URLs are still valid and keep
+ * them in the asset store. The ledger records each stored asset.
+ * @param {string} jobId - Job id
+ * @param {number} index - Scene index
+ * @param {Array} images - Ledger images ({ id, url })
+ */
+async function captureSceneImages(jobId, index, images) {
+  const captured = [];
+
+  for (const image of images) {
+    try {
+      const response = await fetch(image.url, { credentials: 'include' });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
-      break;
 
-    case 'GET_DOWNLOAD_STATUS':
-      sendResponse({
-        isDownloading: downloadState.isDownloading,
-        completed: downloadState.completed,
-        total: downloadState.total
+      const blob = await response.blob();
+      const key = assetKey(jobId, index, image.id);
+      await putAsset({
+        key,
+        runId: jobId,
+        sceneIndex: index,
+        imageId: image.id,
+        blob,
+        type: blob.type || 'image/png',
+        size: blob.size,
+        capturedAt: Date.now()
       });
-      break;
 
-    default:
-      // Forward other messages to popup/content script
-      break;
+      captured.push({ id: image.id, asset: { key, type: blob.type || 'image/png', size: blob.size } });
+    } catch (error) {
+      console.error(`[Flow Story Generator] Could not capture image ${image.id}:`, error);
+      sendLogToPopup(`Could not save scene ${index + 1} image locally (${error.message}); it will be downloaded from Flow`, 'warning', index + 1);
+    }
   }
 
-  return true;
-});
+  if (captured.length === 0) return;
+
+  await withJob(async (job) => {
+    if (!job || job.id !== jobId) return;
+
+    job.ledger[index].images.forEach(image => {
+      const match = captured.find(c => c.id === image.id);
+      if (match) image.asset = match.asset;
+    });
+    await saveJob(job);
+  });
+}
+
+/**
+ * Scene indices in flight, in scene order
+ * @param {Object} job - Job
+ * @returns {number[]}
+ */
+function getRunningScenes(job) {
+  return job.workers
+    .filter(worker => worker.dispatch)
+    .map(worker => worker.dispatch.index)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Queued scenes that can start: none of the scenes they continue from is
+ * queued, in flight or waiting for review
+ * @param {Object} job - Job
+ * @returns {number[]} Scene indices, in queue order
+ */
+function getReadyScenes(job) {
+  const unfinished = new Set([...job.queue, ...getRunningScenes(job)]);
+  if (job.review) unfinished.add(job.review.index);
+
+  return job.queue.filter(index => !getSceneParents(job.scenes, index).some(parent => unfinished.has(parent)));
+}
+
+/**
+ * Put a scene back at the front of the queue. Its chained scenes are
+ * finished, so it stays ahead of the scenes that continue from it.
+ * @param {Object} job - Job
+ * @param {number} index - Scene index
+ */
+function requeueScene(job, index) {
+  job.queue = [index, ...job.queue.filter(queued => queued !== index)];
+}
+
+/**
+ * Take the scene in flight away from a worker whose page went away
+ * (reload, tab closed, browser restart) and queue it again
+ * @param {Object} job - Job
+ * @param {Object} worker - Worker with a scene in flight
+ */
+function releaseWorker(job, worker) {
+  if (!worker.dispatch) return;
+
+  const entry = job.ledger[worker.dispatch.index];
+  entry.attempts++;
+  entry.status = 'pending';
+  requeueScene(job, worker.dispatch.index);
+  worker.dispatch = null;
+}
+
+/**
+ * Tell the popup and content scripts the job status changed
+ */
+function broadcastJobStatus(job) {
+  broadcastMessage({ action: 'JOB_STATUS', data: summarizeJob(job) });
+}
+
+/**
+ * Merge the job settings with a scene's own overrides
+ */
+function getSceneSettings(job, scene) {
+  return { ...job.settings, ...(scene.settings || {}) };
+}
+
+/**
+ * Delay after a scene, slowed down by the job's pace
+ * @param {Object} job - Job
+ * @param {Object} scene - Scene
+ * @returns {number} Milliseconds
+ */
+function getSceneDelay(job, scene) {
+  return Math.round(getSceneSettings(job, scene).delay * job.backoff.pace);
+}
+
+/**
+ * Check whether a tab still exists
+ * @param {number} tabId - Tab id
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+async function getTab(tabId) {
+  if (!tabId) return null;
+  try {
+    return await chrome.tabs.get(tabId);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Make sure the job tab has a live content script, injecting it if needed
+ * and reloading the tab when a loaded script keeps not answering
+ * @param {number} tabId - Tab id
+ * @returns {Promise<boolean>} True when the content script answers
+ */
+async function ensureContentScript(tabId) {
+  try {
+    const response = await sendMessage('PING', null, { tabId });
+    if (response && response.pong) {
+      silentTabs.delete(tabId);
+      return true;
+    }
+  } catch (error) {
+    // A script that is there but slow to answer must not be injected
+    // again: its top-level declarations would throw
+    if (error.code !== 'no-receiver') {
+      console.log(`[Flow Story Generator] Content script in tab ${tabId} did not answer:`, error.message);
+      return false;
+    }
+    // No content script yet (or one from before an extension reload,
+    // which cannot answer), inject below
+  }
+
+  // The manifest's content scripts are still to come
+  const tab = await getTab(tabId);
+  if (!tab || tab.status === 'loading') return false;
+
+  const tries = (silentTabs.get(tabId) || 0) + 1;
+  if (tries > CONTENT_SILENT_LIMIT) {
+    silentTabs.delete(tabId);
+    sendLogToPopup(`The Flow page in tab ${tabId} stopped answering, reloading it`, 'warning');
+    await chrome.tabs.reload(tabId).catch(() => {});
+    return false;
+  }
+  silentTabs.set(tabId, tries);
+
+  try {
+    // content.js sets the flag; a page that has it but does not answer
+    // is counted above until it is reloaded
+    const [{ result: loaded } = {}] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => Boolean(window.flowStoryContentScript)
+    });
+    if (loaded) return false;
+
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: ['lib/messaging.js', 'lib/selectors.js', 'content/panel.js', 'content/content.js', 'content/review.js']
+    });
+    // The injected script announces itself with CONTENT_READY
+    return false;
+  } catch (error) {
+    console.log('[Flow Story Generator] Content script not injectable yet:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Find (or open) a Flow tab for a job whose tabs are gone
+ * @param {Object} job - Job
+ * @returns {Promise<number>} Tab id
+ */
+async function reopenJobTab(job) {
+  const used = job.workers.map(worker => worker.tabId);
+  const tabs = (await chrome.tabs.query({ url: FLOW_TAB_PATTERNS })).filter(tab => !used.includes(tab.id));
+  const match = tabs.find(tab => tab.url === job.tabUrl) ||
+    tabs.find(tab => tab.url && tab.url.startsWith(FLOW_TOOL_URL));
+
+  if (match) {
+    return match.id;
+  }
+
+  const tab = await chrome.tabs.create({ url: job.tabUrl || FLOW_TOOL_URL, active: false });
+  return tab.id;
+}
+
+/**
+ * Check the scenes and range of a job to start or queue
+ * @param {Object} data - { tabUrl, scenes, range }
+ * @returns {{order: number[], error: string|null}} order: scenes to run, in dependency order
+ */
+function planJob(data) {
+  if (!isFlowUrl(data.tabUrl)) {
+    return { order: [], error: 'Open Google Flow in the active tab first' };
+  }
+
+  const start = data.range ? data.range.start : 0;
+  const end = data.range ? data.range.end : data.scenes.length - 1;
+  if (start < 0 || end >= data.scenes.length || start > end) {
+    return { order: [], error: `Invalid scene range ${start + 1}-${end + 1}` };
+  }
+
+  // Scenes run after the scenes they chain from
+  const { order, blocked } = orderScenes(data.scenes, Array.from({ length: end - start + 1 }, (_, i) => start + i));
+  if (blocked.length > 0) {
+    return { order: [], error: `Scenes ${blocked.map(index => index + 1).join(', ')} chain from each other in a loop` };
+  }
+
+  return { order, error: null };
+}
+
+/**
+ * Create a new job and start it
+ * @param {Object} data - { tabId, tabUrl, scenes, characters, settings, range }
+ *   range is { start, end } (0-based, inclusive); all scenes when omitted
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function startJob(data) {
+  return withJob(async (existing) => {
+    if (existing && (existing.status === 'running' || existing.status === 'paused')) {
+      return { success: false, error: 'A generation is already in progress, add the storyboard to the queue instead' };
+    }
+    return createJob(existing, data);
+  });
+}
+
+/**
+ * Replace the finished job with a new one and start it. Must run inside
+ * withJob.
+ * @param {Object|null} existing - Previous job, for results to carry over
+ * @param {Object} data - See startJob; queued runs also have { queueId, name, download }
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function createJob(existing, data) {
+  const { order, error } = planJob(data);
+  if (error) {
+    return { success: false, error };
+  }
+
+  // The reviewer handles one scene at a time, so review mode uses one tab
+  const tabLimit = data.settings.reviewMode ? 1 : data.settings.tabs || 1;
+  if (data.settings.reviewMode && data.settings.tabs > 1) {
+    sendLogToPopup('Review mode runs in a single Flow tab', 'warning');
+  }
+
+  const job = {
+    id: `run_${Date.now()}`,
+    status: 'running',
+    reason: null,
+    // Storyboard name of a queued run
+    name: data.name || null,
+    tabUrl: data.tabUrl,
+    scenes: data.scenes,
+    characters: sceneCharacters(data.scenes, data.characters),
+    settings: data.settings,
+    // Name of the settings preset the run was started with, if any
+    preset: data.preset || null,
+    // Scenes not started yet, in dependency order
+    queue: order,
+    total: order.length,
+    // Number of queued scenes finished
+    position: 0,
+    ledger: carryOverLedger(data.scenes, existing),
+    // One worker per Flow tab, each running one scene at a time. The
+    // first is the tab the run was started from; opened marks the tabs
+    // the job opened itself.
+    workers: [{ tabId: data.tabId, dispatch: null, readyAt: 0, opened: false }],
+    tabLimit,
+    // { index } of the scene waiting for the reviewer in review mode
+    review: null,
+    backoff: createBackoff(),
+    // Create clicks used by this run, for the run budget
+    generations: 0,
+    // Download options of a queued run, which saves its images when it ends
+    download: data.download || null,
+    createdAt: Date.now()
+  };
+
+  const budget = await getGenerationBudget(job);
+  if (budget.available <= 0) {
+    return { success: false, error: `${budget.name} is used up` };
+  }
+
+  // Runs that ended are archived already; this also covers jobs saved
+  // before there was a history
+  if (existing) {
+    await archiveJob(existing);
+  }
+  await saveJob(job);
+  // Progress of the last run is no news to a popup opened during this one
+  clearRetainedEvents();
+
+  // Images only the new job, carried-over scenes and the history use are kept
+  pruneRunAssets(job);
+
+  console.log(`[Flow Story Generator] Job ${job.id} started: ${order.length} of ${job.scenes.length} scenes in up to ${tabLimit} tab(s)`);
+  broadcastJobStatus(job);
+
+  await dispatchScenes(job);
+  return { success: true, job: summarizeJob(job) };
+}
+
+/**
+ * Run the failed scenes of the last job again, keeping its other results
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function rerunFailedScenes() {
+  return withJob(async (job) => {
+    if (!job || job.status === 'running' || job.status === 'paused') {
+      return { success: false, error: 'No finished generation to re-run' };
+    }
+
+    const failed = job.ledger
+      .map((entry, index) => (entry.status === 'failed' ? index : -1))
+      .filter(index => index >= 0);
+
+    if (failed.length === 0) {
+      return { success: false, error: 'The last generation has no failed scenes' };
+    }
+
+    job.status = 'running';
+    job.reason = null;
+    job.queue = orderScenes(job.scenes, failed).order;
+    job.total = failed.length;
+    job.position = 0;
+    job.backoff.rounds = 0;
+    job.backoff.until = null;
+    job.workers.forEach(worker => {
+      worker.dispatch = null;
+      worker.readyAt = 0;
+    });
+    job.review = null;
+    // Re-runs are started by hand and downloaded from the popup
+    job.download = null;
+    await saveJob(job);
+    clearRetainedEvents();
+
+    console.log(`[Flow Story Generator] Job ${job.id}: re-running ${failed.length} failed scene(s)`);
+    broadcastJobStatus(job);
+
+    await dispatchScenes(job);
+    return { success: true, job: summarizeJob(job) };
+  });
+}
+
+/**
+ * Load the queued storyboards
+ * @returns {Promise<Array>} Entries { id, name, total, startAt, error, createdAt, data }
+ */
+async function loadQueue() {
+  const result = await chrome.storage.local.get(QUEUE_STORAGE_KEY);
+  return result[QUEUE_STORAGE_KEY] || [];
+}
+
+/**
+ * Persist the queue, re-arm its alarm and tell the popup
+ * @param {Array} queue - Queue entries
+ */
+async function saveQueue(queue) {
+  await chrome.storage.local.set({ [QUEUE_STORAGE_KEY]: queue });
+  scheduleQueue(queue);
+  broadcastMessage({ action: 'QUEUE_STATUS', data: summarizeQueue(queue) });
+}
+
+/**
+ * Set the alarm for the start time of the first queued storyboard. Only
+ * the first one matters: storyboards run in queue order.
+ * @param {Array} queue - Queue entries
+ */
+function scheduleQueue(queue) {
+  const next = queue[0];
+  if (next && next.startAt && next.startAt > Date.now() && !next.error) {
+    chrome.alarms.create(QUEUE_ALARM, { when: next.startAt });
+  } else {
+    chrome.alarms.clear(QUEUE_ALARM);
+  }
+}
+
+/**
+ * Public view of the queue, without the scenes and character images
+ */
+function summarizeQueue(queue) {
+  return queue.map(entry => ({
+    id: entry.id,
+    name: entry.name,
+    total: entry.total,
+    startAt: entry.startAt,
+    error: entry.error,
+    createdAt: entry.createdAt
+  }));
+}
+
+/**
+ * Add a storyboard to the queue; it starts right away when nothing runs
+ * and it has no later start time
+ * @param {Object} data - startJob data without tabId, plus { name, startAt, download }
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function enqueueJob(data) {
+  return withJob(async (job) => {
+    const { order, error } = planJob(data);
+    if (error) {
+      return { success: false, error };
+    }
+    if (data.startAt && data.startAt <= Date.now()) {
+      return { success: false, error: 'The start time is in the past' };
+    }
+
+    const queue = await loadQueue();
+    const entry = {
+      id: `queued_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: data.name || `${data.scenes.length} scenes`,
+      total: order.length,
+      startAt: data.startAt || null,
+      // Why the storyboard could not start; it holds the queue until it is
+      // started by hand or cancelled
+      error: null,
+      createdAt: Date.now(),
+      data: {
+        tabUrl: data.tabUrl,
+        scenes: data.scenes,
+        characters: sceneCharacters(data.scenes, data.characters),
+        settings: data.settings,
+        preset: data.preset || null,
+        range: data.range || null,
+        download: data.download || null
+      }
+    };
+    queue.push(entry);
+    await saveQueue(queue);
+
+    const when = entry.startAt ? ` to start at ${new Date(entry.startAt).toLocaleString()}` : '';
+    sendLogToPopup(`Queued "${entry.name}" (${entry.total} scenes)${when}`, 'info');
+
+    await advanceQueue(job);
+    return { success: true, queue: summarizeQueue(await loadQueue()) };
+  });
+}
+
+/**
+ * Move a queued storyboard up or down, or remove it
+ * @param {string} id - Queue entry id
+ * @param {number|null} offset - Positions to move (negative is earlier); null removes it
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function updateQueue(id, offset) {
+  return withJob(async (job) => {
+    const queue = await loadQueue();
+    const index = queue.findIndex(entry => entry.id === id);
+    if (index < 0) {
+      return { success: false, error: 'That storyboard is no longer queued' };
+    }
+
+    const [entry] = queue.splice(index, 1);
+    if (offset === null) {
+      sendLogToPopup(`Removed "${entry.name}" from the queue`, 'info');
+    } else {
+      queue.splice(Math.min(Math.max(index + offset, 0), queue.length), 0, entry);
+    }
+    await saveQueue(queue);
+
+    // A new first storyboard may be due
+    await advanceQueue(job);
+    return { success: true, queue: summarizeQueue(await loadQueue()) };
+  });
+}
+
+/**
+ * Start the first queued storyboard now, ignoring its start time
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function startQueueNow() {
+  return withJob(async (job) => {
+    if (job && (job.status === 'running' || job.status === 'paused')) {
+      return { success: false, error: 'A generation is in progress; the queue continues after it' };
+    }
+    if ((await loadQueue()).length === 0) {
+      return { success: false, error: 'The queue is empty' };
+    }
+
+    await advanceQueue(job, true);
+    return { success: true, queue: summarizeQueue(await loadQueue()) };
+  });
+}
+
+/**
+ * Start the first queued storyboard when no job is in progress and its
+ * start time has come. A queued run that just ended downloads its images
+ * first, as nobody may be at the popup to do it. Must run inside withJob.
+ * @param {Object|null} job - Current job
+ * @param {boolean} force - Start even before the start time or after an error
+ */
+async function advanceQueue(job, force = false) {
+  if (job && (job.status === 'running' || job.status === 'paused')) return;
+
+  if (job && job.download && !job.downloaded) {
+    job.downloaded = true;
+    await saveJob(job);
+    if (queueRunDownload(job, job.download) > 0) {
+      sendLogToPopup(`Downloading the images of "${job.name}"`, 'info');
+      // Downloads wait for the browser; the queue goes on meanwhile
+      processDownloadQueue();
+    }
+  }
+
+  const queue = await loadQueue();
+  const next = queue[0];
+  if (!next) return;
+
+  if (!force && (next.error || (next.startAt && next.startAt > Date.now()))) {
+    scheduleQueue(queue);
+    return;
+  }
+
+  const failed = async (error) => {
+    next.error = error;
+    await saveQueue(queue);
+    sendLogToPopup(`Queued "${next.name}" could not start: ${error}`, 'error');
+  };
+
+  // A storyboard that cannot run does not get a tab
+  const { error } = planJob(next.data);
+  if (error) {
+    await failed(error);
+    return;
+  }
+
+  // Run in the storyboard's Flow project, in a tab of its own if none shows it
+  const tabs = await chrome.tabs.query({ url: FLOW_TAB_PATTERNS });
+  const match = tabs.find(tab => tab.url === next.data.tabUrl);
+  const tab = match
+    ? await chrome.tabs.update(match.id, { active: true })
+    : await chrome.tabs.create({ url: next.data.tabUrl, active: true });
+
+  const response = await createJob(job, { ...next.data, tabId: tab.id, name: next.name });
+  if (!response.success) {
+    if (!match) {
+      await chrome.tabs.remove(tab.id).catch(() => {});
+    }
+    await failed(response.error);
+    return;
+  }
+
+  queue.shift();
+  await saveQueue(queue);
+  sendLogToPopup(`Started queued "${next.name}"${queue.length > 0 ? `, ${queue.length} more in the queue` : ''}`, 'info');
+}
+
+/**
+ * Forget workers whose tab is gone and queue their scenes again. A job
+ * always keeps one tab, reopening its Flow project when needed.
+ * @param {Object} job - Job
+ */
+async function checkWorkerTabs(job) {
+  let changed = false;
+
+  for (const worker of [...job.workers]) {
+    if (await getTab(worker.tabId)) continue;
+    releaseWorker(job, worker);
+    job.workers.splice(job.workers.indexOf(worker), 1);
+    changed = true;
+  }
+
+  if (job.workers.length === 0) {
+    job.workers.push({ tabId: await reopenJobTab(job), dispatch: null, readyAt: 0, opened: false });
+    changed = true;
+  }
+
+  if (changed) {
+    await saveJob(job);
+  }
+}
+
+/**
+ * Send ready scenes to idle tabs, opening more tabs up to the job's limit.
+ * Must run inside withJob. Does nothing while a scene waits for review or
+ * the job is not running.
+ * @param {Object} job - Job
+ */
+async function dispatchScenes(job) {
+  if (!job || job.status !== 'running' || job.review) return;
+
+  cancelDispatch();
+
+  if (job.queue.length === 0) {
+    if (getRunningScenes(job).length === 0) {
+      await completeJob(job);
+    }
+    return;
+  }
+
+  await checkWorkerTabs(job);
+
+  // Scenes in flight may finish; once nothing runs, the run stops cleanly
+  const budget = await getGenerationBudget(job);
+  if (budget.available <= 0) {
+    if (getRunningScenes(job).length === 0) {
+      job.status = 'stopped';
+      job.reason = `${budget.name} used up`;
+      await saveJob(job);
+      sendLogToPopup(`${job.reason}, run stopped`, 'warning');
+      broadcastJobStatus(job);
+      await archiveJob(job);
+      await advanceQueue(job);
+    }
+    return;
+  }
+
+  const now = Date.now();
+  const idle = job.workers.filter(worker => !worker.dispatch);
+  const ready = getReadyScenes(job);
+  const taken = new Set();
+  const assignments = [];
+
+  // A scene goes to the tab that made an image it continues from, which
+  // can add that image directly; that tab keeps it while in its delay
+  const placed = new Set();
+  ready.forEach(index => {
+    const parents = getSceneParents(job.scenes, index);
+    const owner = idle.find(worker => !taken.has(worker) &&
+      parents.some(parent => job.ledger[parent].tabId === worker.tabId));
+    if (!owner) return;
+
+    taken.add(owner);
+    placed.add(index);
+    if (owner.readyAt <= now) assignments.push({ worker: owner, index });
+  });
+
+  // The other scenes go to any tab that is free, in queue order
+  let waiting = 0;
+  ready.filter(index => !placed.has(index)).forEach(index => {
+    const worker = idle.find(candidate => !taken.has(candidate) && candidate.readyAt <= now);
+    if (!worker) {
+      waiting++;
+      return;
+    }
+    taken.add(worker);
+    assignments.push({ worker, index });
+  });
+
+  // Open more tabs for scenes that could run now; they pick up work once
+  // their content script announces itself
+  const opening = Math.min(
+    waiting - idle.filter(worker => !taken.has(worker)).length,
+    job.tabLimit - job.workers.length,
+    budget.available - assignments.length
+  );
+  for (let i = 0; i < opening; i++) {
+    const tab = await chrome.tabs.create({ url: job.tabUrl, active: false });
+    job.workers.push({ tabId: tab.id, dispatch: null, readyAt: 0, opened: true });
+    sendLogToPopup(`Opened Flow tab ${job.workers.length} of ${job.tabLimit}`, 'info');
+  }
+  if (opening > 0) {
+    await saveJob(job);
+  }
+
+  // Each scene reserves its attempts from the budget
+  let available = budget.available;
+  for (const { worker, index } of assignments) {
+    if (available <= 0) break;
+    const reserved = Math.min(getSceneSettings(job, job.scenes[index]).retries, available);
+    if (await sendScene(job, worker, index, reserved)) {
+      available -= reserved;
+    }
+  }
+
+  // Come back when the first tab with nothing to do is past its delay
+  const wakeAt = Math.min(...job.workers
+    .filter(worker => !worker.dispatch && worker.readyAt > now)
+    .map(worker => worker.readyAt));
+  if (Number.isFinite(wakeAt) && job.queue.length > 0) {
+    scheduleDispatch(wakeAt - now);
+  }
+}
+
+/**
+ * Send one scene to a worker's tab. Must run inside withJob.
+ * @param {Object} job - Job
+ * @param {Object} worker - Idle worker
+ * @param {number} index - Scene index
+ * @param {number} reserved - Attempts the scene may use from the budget
+ * @returns {Promise<boolean>} True when the scene was sent
+ */
+async function sendScene(job, worker, index, reserved) {
+  // When the page is still loading, CONTENT_READY will dispatch later; the
+  // delay covers a page that is there but did not answer
+  if (!(await ensureContentScript(worker.tabId))) {
+    worker.readyAt = Math.max(worker.readyAt, Date.now() + BUSY_RETRY_MS);
+    return false;
+  }
+
+  const scene = job.scenes[index];
+  const entry = job.ledger[index];
+  // Attempts add up across re-runs
+  Object.assign(entry, createLedgerEntry(scene), { attempts: entry.attempts, startedAt: Date.now() });
+  entry.status = 'running';
+  entry.tabId = worker.tabId;
+  worker.dispatch = { index, sentAt: Date.now(), reserved };
+  job.queue = job.queue.filter(queued => queued !== index);
+  await saveJob(job);
+
+  broadcastMessage({ action: 'PROGRESS_UPDATE', data: progressData(job, index, job.position) });
+  broadcastJobStatus(job);
+
+  let response;
+  try {
+    response = await sendMessage('RUN_SCENE', {
+      jobId: job.id,
+      index,
+      scene,
+      chainImages: await getChainImages(job, index, worker.tabId),
+      characters: job.characters.filter(c => (scene.characters || []).includes(c.name)),
+      settings: job.settings,
+      maxAttempts: reserved
+    }, { tabId: worker.tabId });
+  } catch (error) {
+    // Page went away between ping and dispatch; CONTENT_READY re-dispatches
+    console.log(`[Flow Story Generator] Could not dispatch scene ${index + 1}:`, error.message);
+    entry.status = 'pending';
+    worker.dispatch = null;
+    requeueScene(job, index);
+    await saveJob(job);
+    return false;
+  }
+
+  if (response && response.accepted === false) {
+    // The tab is still running something; the dispatcher wakes again
+    // once its delay is over
+    console.log(`[Flow Story Generator] Tab ${worker.tabId} is busy, scene ${index + 1} goes back in the queue`);
+    entry.status = 'pending';
+    worker.dispatch = null;
+    worker.readyAt = Date.now() + BUSY_RETRY_MS;
+    requeueScene(job, index);
+    await saveJob(job);
+    broadcastJobStatus(job);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Run the dispatcher again after a delay
+ * @param {number} delay - Milliseconds to wait
+ */
+function scheduleDispatch(delay) {
+  cancelDispatch();
+  if (delay > DISPATCH_TIMER_MAX_MS) {
+    chrome.alarms.create(DISPATCH_ALARM, { when: Date.now() + delay });
+    return;
+  }
+  dispatchTimer = setTimeout(() => {
+    dispatchTimer = null;
+    withJob(dispatchScenes);
+  }, delay);
+}
+
+/**
+ * Forget a dispatcher run scheduled by scheduleDispatch
+ */
+function cancelDispatch() {
+  clearTimeout(dispatchTimer);
+  dispatchTimer = null;
+  chrome.alarms.clear(DISPATCH_ALARM);
+}
+
+/**
+ * Record the outcome of a scene reported by the content script
+ * @param {Object} data - { jobId, index, success, attempts, generations, images, references, failure, dryRun }
+ */
+async function handleSceneResult(data) {
+  await withJob(async (job) => {
+    const worker = job && job.id === data.jobId &&
+      job.workers.find(candidate => candidate.dispatch && candidate.dispatch.index === data.index);
+    if (!worker) {
+      console.log(`[Flow Story Generator] Ignoring stale result for scene ${data.index + 1}`);
+      return;
+    }
+
+    const scene = job.scenes[data.index];
+    const entry = job.ledger[data.index];
+    job.generations += data.generations || 0;
+    await recordUsage(data.generations || 0);
+
+    entry.status = data.success ? 'done' : 'failed';
+    entry.attempts += data.attempts;
+    entry.endedAt = Date.now();
+    entry.images = data.success ? data.images : [];
+    entry.selected = data.success && data.images.length > 0
+      ? chooseVariant(data.images, job.settings.chainStrategy)
+      : null;
+    entry.references = data.references;
+    entry.failure = data.success ? null : data.failure || null;
+    worker.dispatch = null;
+    // The tab rests for the scene's delay before its next scene
+    worker.readyAt = Date.now() + getSceneDelay(job, scene);
+
+    // Flow is refusing work for now: run the scene again after a cool-down
+    if (entry.failure && (entry.failure.type === 'rate' || entry.failure.type === 'quota')) {
+      entry.status = 'pending';
+      requeueScene(job, data.index);
+      sendLogToPopup(`Scene ${data.index + 1}: ${entry.failure.message}`, 'warning', data.index + 1);
+      if (job.status === 'running') {
+        startCooldown(job, entry.failure);
+        sendLogToPopup(job.reason, 'warning');
+      }
+      await saveJob(job);
+      broadcastJobStatus(job);
+      return;
+    }
+
+    if (data.success) {
+      updatePace(job);
+    }
+
+    if (data.dryRun) {
+      sendLogToPopup(`Scene ${data.index + 1}: dry run done, Create was not clicked`, 'info', data.index + 1);
+    }
+
+    // In review mode a generated scene waits for the reviewer's decision;
+    // a dry run has nothing to review
+    if (data.success && job.settings.reviewMode && !data.dryRun) {
+      entry.status = 'review';
+      job.review = { index: data.index };
+      await saveJob(job);
+      broadcastJobStatus(job);
+      if (job.status === 'running') {
+        await showReview(job);
+      }
+      return;
+    }
+
+    job.position++;
+    await saveJob(job);
+
+    if (!data.success) {
+      const cause = entry.failure ? ` [${entry.failure.type}] ${entry.failure.message}` : '';
+      broadcastMessage({
+        action: 'GENERATION_ERROR',
+        data: {
+          error: `Failed to generate image for scene ${scene.id} (${data.index + 1}/${job.scenes.length})${cause}`,
+          failure: entry.failure,
+          fatal: false
+        }
+      });
+    }
+
+    broadcastMessage({ action: 'PROGRESS_UPDATE', data: progressData(job, data.index, job.position) });
+    broadcastJobStatus(job);
+
+    await dispatchScenes(job);
+  });
+
+  if (data.success && data.images.length > 0) {
+    captureSceneImages(data.jobId, data.index, data.images);
+  }
+}
+
+/**
+ * Record a successful scene: the cool-down rounds start over and the pace
+ * recovers step by step
+ * @param {Object} job - Job
+ */
+function updatePace(job) {
+  const backoff = job.backoff;
+  backoff.rounds = 0;
+  if (backoff.pace === 1) return;
+
+  backoff.streak++;
+  if (backoff.streak >= PACE_RECOVERY) {
+    backoff.pace = Math.max(1, backoff.pace / 2);
+    backoff.streak = 0;
+    sendLogToPopup(`Flow is keeping up again, delay between prompts now ${backoff.pace}x`, 'info');
+  }
+}
+
+/**
+ * Pause the job after a rate limit or quota signal, slow it down, and set
+ * an alarm that resumes it. Must run inside withJob; the caller saves.
+ * @param {Object} job - Running job
+ * @param {Object} failure - { type: 'rate'|'quota', message }
+ */
+function startCooldown(job, failure) {
+  const backoff = job.backoff;
+  backoff.rounds++;
+  backoff.pace = Math.min(backoff.pace * 2, PACE_MAX);
+  backoff.streak = 0;
+
+  cancelDispatch();
+  job.status = 'paused';
+
+  const cause = failure.type === 'rate' ? 'Rate limited by Flow' : 'Flow quota or credits exhausted';
+
+  if (backoff.rounds > COOLDOWN_MAX_ROUNDS) {
+    backoff.until = null;
+    job.reason = `${cause} ${backoff.rounds - 1} times in a row; resume when Flow works again`;
+    return;
+  }
+
+  const cooldown = Math.min(COOLDOWN_BASE_MS * 2 ** (backoff.rounds - 1), COOLDOWN_MAX_MS);
+  backoff.until = Date.now() + Math.round(cooldown * (0.8 + Math.random() * 0.4));
+  job.reason = `${cause}, cooling down until ${new Date(backoff.until).toLocaleTimeString()}`;
+  chrome.alarms.create(COOLDOWN_ALARM, { when: backoff.until });
+}
+
+/**
+ * Resume the job when its cool-down alarm fires
+ */
+async function endCooldown() {
+  await withJob(async (job) => {
+    if (!job || job.status !== 'paused' || !job.backoff.until) return;
+
+    job.status = 'running';
+    job.reason = null;
+    job.backoff.until = null;
+    await saveJob(job);
+
+    sendLogToPopup(`Cool-down over, resuming with ${job.backoff.pace}x the delay between prompts`, 'info');
+    broadcastJobStatus(job);
+    await (job.review ? showReview(job) : dispatchScenes(job));
+  });
+}
+
+/**
+ * Mark the job complete and report the generated images
+ * @param {Object} job - Job
+ */
+async function completeJob(job) {
+  job.status = 'completed';
+  await saveJob(job);
+  await archiveJob(job);
+
+  // Close the extra tabs the job opened; the images are in the ledger
+  job.workers.filter(worker => worker.opened).forEach(worker => {
+    chrome.tabs.remove(worker.tabId).catch(() => {
+      // Already closed
+    });
+  });
+
+  const images = getLedgerImages(job);
+
+  console.log(`[Flow Story Generator] Job ${job.id} complete`);
+  broadcastJobStatus(job);
+  broadcastMessage({
+    action: 'GENERATION_COMPLETE',
+    data: { total: images.length, images }
+  });
+
+  await advanceQueue(job);
+}
+
+/**
+ * Change the job status in response to a popup command
+ * @param {string} status - 'running' | 'paused' | 'stopped'
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function setJobStatus(status) {
+  return withJob(async (job) => {
+    if (!job || job.status === 'completed' || job.status === 'stopped') {
+      return { success: false, error: 'No generation in progress' };
+    }
+
+    job.status = status;
+    job.reason = null;
+
+    // A command from the user ends any cool-down
+    if (job.backoff.until) {
+      job.backoff.until = null;
+      chrome.alarms.clear(COOLDOWN_ALARM);
+    }
+    if (status === 'running') {
+      job.backoff.rounds = 0;
+    }
+
+    if (job.review && status !== 'running') {
+      sendMessage('HIDE_REVIEW', null, { tabId: getReviewTabId(job) }).catch(() => {
+        // Tab might be gone, nothing to hide
+      });
+    }
+
+    if (status === 'stopped') {
+      cancelDispatch();
+      job.workers.forEach(worker => {
+        if (worker.dispatch) {
+          // The interrupted scene was not finished
+          const entry = job.ledger[worker.dispatch.index];
+          entry.attempts++;
+          entry.status = 'pending';
+          worker.dispatch = null;
+        }
+        sendMessage('STOP_GENERATION', null, { tabId: worker.tabId }).catch(() => {
+          // Tab might be gone, nothing to stop
+        });
+      });
+      if (job.review) {
+        // A scene that was never approved is not done
+        job.ledger[job.review.index].status = 'pending';
+        job.review = null;
+      }
+    }
+
+    await saveJob(job);
+    broadcastJobStatus(job);
+
+    if (status === 'running') {
+      await (job.review ? showReview(job) : dispatchScenes(job));
+    } else if (status === 'stopped') {
+      await archiveJob(job);
+      await advanceQueue(job);
+    }
+
+    return { success: true, job: summarizeJob(job) };
+  });
+}
+
+/**
+ * Skip a scene: the one running in the tab that asked, the one waiting for
+ * review, the first one in flight, or the next queued one when nothing runs
+ * @param {number|null} tabId - Tab of the in-page panel that asked, if any
+ * @returns {Promise<Object>} Response for the popup or panel
+ */
+async function skipScene(tabId) {
+  return withJob(async (job) => {
+    if (!job || (job.status !== 'running' && job.status !== 'paused')) {
+      return { success: false, error: 'No generation in progress' };
+    }
+
+    const busy = job.workers.filter(worker => worker.dispatch);
+    let worker = busy.find(candidate => candidate.tabId === tabId) || null;
+    if (!worker && !job.review) {
+      worker = busy.sort((a, b) => a.dispatch.index - b.dispatch.index)[0] || null;
+    }
+
+    let index;
+    if (worker) {
+      index = worker.dispatch.index;
+    } else if (job.review) {
+      index = job.review.index;
+    } else if (job.queue.length > 0) {
+      index = job.queue[0];
+    } else {
+      return { success: false, error: 'No scene left to skip' };
+    }
+
+    const scene = job.scenes[index];
+    const entry = job.ledger[index];
+    const stopTabId = worker ? worker.tabId : job.review ? getReviewTabId(job) : null;
+
+    if (stopTabId) {
+      sendMessage('STOP_GENERATION', null, { tabId: stopTabId }).catch(() => {
+        // Tab might be gone, nothing to stop
+      });
+      // Give the stopped scene a moment to unwind before the tab's next one
+      const stopped = job.workers.find(candidate => candidate.tabId === stopTabId);
+      if (stopped) stopped.readyAt = Date.now() + getSceneDelay(job, scene);
+    }
+
+    if (worker) {
+      entry.attempts++;
+      worker.dispatch = null;
+    }
+
+    entry.status = 'skipped';
+    entry.selected = null;
+    entry.endedAt = Date.now();
+    job.queue = job.queue.filter(queued => queued !== index);
+    if (job.review && job.review.index === index) job.review = null;
+    job.position++;
+    await saveJob(job);
+
+    sendLogToPopup(`Scene ${index + 1} skipped`, 'warning', index + 1);
+    broadcastMessage({ action: 'PROGRESS_UPDATE', data: progressData(job, index, job.position) });
+    broadcastJobStatus(job);
+
+    await dispatchScenes(job);
+    return { success: true };
+  });
+}
+
+/**
+ * Tab that shows the review overlay: the one that generated the scene
+ * @param {Object} job - Job with a scene in review
+ * @returns {number} Tab id
+ */
+function getReviewTabId(job) {
+  const tabId = job.ledger[job.review.index].tabId;
+  return job.workers.some(worker => worker.tabId === tabId) ? tabId : job.workers[0].tabId;
+}
+
+/**
+ * Show the review overlay for the scene waiting for review. Must run
+ * inside withJob.
+ * @param {Object} job - Job with a scene in review
+ */
+async function showReview(job) {
+  const tabId = getReviewTabId(job);
+
+  // When the page is still loading, CONTENT_READY will show it later
+  if (!(await getTab(tabId)) || !(await ensureContentScript(tabId))) return;
+
+  const index = job.review.index;
+  const scene = job.scenes[index];
+  const entry = job.ledger[index];
+  const chain = entry.references.filter(reference => reference.type === 'chain');
+
+  sendLogToPopup(`Scene ${index + 1} is waiting for review on the Flow page`, 'info', index + 1);
+
+  try {
+    await sendMessage('SHOW_REVIEW', {
+      jobId: job.id,
+      index,
+      total: job.scenes.length,
+      title: scene.title || null,
+      prompt: scene.prompt,
+      images: entry.images,
+      selected: entry.selected ?? 0,
+      previousImageUrls: chain.map(reference => reference.url)
+    }, { tabId });
+  } catch (error) {
+    console.log(`[Flow Story Generator] Could not show review for scene ${index + 1}:`, error.message);
+  }
+}
+
+/**
+ * Apply the reviewer's decision on the scene waiting for review
+ * @param {Object} data - { jobId, index, decision: 'approve'|'regenerate'|'edit'|'skip', variant, prompt }
+ * @returns {Promise<Object>} Response for the content script
+ */
+async function handleReviewDecision(data) {
+  return withJob(async (job) => {
+    if (!job || job.id !== data.jobId || !job.review || job.review.index !== data.index) {
+      return { success: false, error: 'This scene is no longer waiting for review' };
+    }
+
+    if (job.status !== 'running') {
+      return { success: false, error: 'Resume the generation first' };
+    }
+
+    const index = data.index;
+    const scene = job.scenes[index];
+    const entry = job.ledger[index];
+
+    switch (data.decision) {
+      case 'approve':
+        if (Number.isInteger(data.variant) && data.variant >= 0 && data.variant < entry.images.length) {
+          entry.selected = data.variant;
+        }
+        entry.status = 'done';
+        job.position++;
+        sendLogToPopup(`Scene ${index + 1} approved (variant ${entry.selected + 1})`, 'success', index + 1);
+        break;
+
+      case 'skip':
+        entry.status = 'skipped';
+        entry.selected = null;
+        job.position++;
+        sendLogToPopup(`Scene ${index + 1} skipped; scenes that continue from it will not be chained to it`, 'warning', index + 1);
+        break;
+
+      case 'edit':
+        if (typeof data.prompt !== 'string' || !data.prompt.trim()) {
+          return { success: false, error: 'The prompt cannot be empty' };
+        }
+        job.scenes[index] = { ...scene, prompt: data.prompt.trim() };
+        sendLogToPopup(`Scene ${index + 1} prompt edited in review, regenerating`, 'info', index + 1);
+        entry.status = 'pending';
+        requeueScene(job, index);
+        break;
+
+      case 'regenerate':
+        sendLogToPopup(`Regenerating scene ${index + 1}`, 'info', index + 1);
+        entry.status = 'pending';
+        requeueScene(job, index);
+        break;
+
+      default:
+        return { success: false, error: `Unknown review decision "${data.decision}"` };
+    }
+
+    // A regenerated scene starts right away, the next scene after the delay
+    const advanced = data.decision === 'approve' || data.decision === 'skip';
+    const worker = job.workers.find(candidate => candidate.tabId === getReviewTabId(job));
+    worker.readyAt = advanced ? Date.now() + getSceneDelay(job, scene) : 0;
+
+    job.review = null;
+    await saveJob(job);
+
+    broadcastMessage({ action: 'PROGRESS_UPDATE', data: progressData(job, index, job.position) });
+    broadcastJobStatus(job);
+
+    await dispatchScenes(job);
+    return { success: true };
+  });
+}
+
+/**
+ * A content script finished loading. If its tab belongs to the running
+ * job, the scene that was in flight there was interrupted and is queued
+ * again.
+ * @param {chrome.tabs.Tab} tab - Sender tab
+ * @param {number} loadedAt - When the content script loaded
+ */
+async function handleContentReady(tab, loadedAt) {
+  await withJob(async (job) => {
+    if (!job || job.status !== 'running') return;
+
+    let worker = job.workers.find(candidate => candidate.tabId === tab.id);
+    if (!worker) {
+      // Adopt the tab only in place of a worker whose tab is gone (e.g.
+      // browser restart)
+      for (const candidate of job.workers) {
+        if (!(await getTab(candidate.tabId))) {
+          worker = candidate;
+          break;
+        }
+      }
+      if (!worker) return;
+      releaseWorker(job, worker);
+      worker.tabId = tab.id;
+    }
+
+    if (worker.dispatch && worker.dispatch.sentAt < loadedAt) {
+      sendLogToPopup(`Page reloaded during scene ${worker.dispatch.index + 1}, running it again`, 'warning', worker.dispatch.index + 1);
+      releaseWorker(job, worker);
+    }
+
+    await saveJob(job);
+    await (job.review ? showReview(job) : dispatchScenes(job));
+  });
+}
+
+/**
+ * Pick up a running job after the service worker or browser restarts
+ * @param {boolean} browserStarted - True on browser startup, when nothing can be in flight
+ */
+async function resumeJob(browserStarted) {
+  await withJob(async (job) => {
+    // Alarms may not survive a browser restart; an overdue one fires at once
+    if (job && job.status === 'paused' && job.backoff.until) {
+      chrome.alarms.create(COOLDOWN_ALARM, { when: Math.max(job.backoff.until, Date.now() + 1000) });
+      return;
+    }
+
+    if (!job || job.status !== 'running') {
+      // Also re-arms the queue alarm, or starts a storyboard it missed
+      await advanceQueue(job);
+      return;
+    }
+
+    if (browserStarted) {
+      job.workers.forEach(worker => releaseWorker(job, worker));
+      await saveJob(job);
+    }
+
+    console.log(`[Flow Story Generator] Resuming job ${job.id} at ${job.position + 1}/${job.total}`);
+    await (job.review ? showReview(job) : dispatchScenes(job));
+  });
+}
+
+/**
+ * A Flow tab was closed. The job carries on in its other tabs (and opens
+ * no replacement); when its last tab is closed, the job pauses.
+ * @param {number} tabId - Closed tab id
+ */
+async function handleTabRemoved(tabId) {
+  await withJob(async (job) => {
+    if (!job || job.status !== 'running') return;
+
+    const worker = job.workers.find(candidate => candidate.tabId === tabId);
+    if (!worker) return;
+
+    releaseWorker(job, worker);
+
+    if (job.workers.length > 1) {
+      job.workers.splice(job.workers.indexOf(worker), 1);
+      job.tabLimit = Math.max(1, job.tabLimit - 1);
+      await saveJob(job);
+      sendLogToPopup(`A Flow tab was closed, continuing in ${job.workers.length} tab(s)`, 'warning');
+      broadcastJobStatus(job);
+      await (job.review ? showReview(job) : dispatchScenes(job));
+      return;
+    }
+
+    cancelDispatch();
+    job.status = 'paused';
+    job.reason = 'Flow tab was closed';
+    await saveJob(job);
+    broadcastJobStatus(job);
+  });
+}
+
+/**
+ * Storage key of a run's log
+ * @param {string} logId - Run id or LOG_NO_RUN
+ * @returns {string}
+ */
+function logKey(logId) {
+  return `${LOG_STORAGE_PREFIX}${logId}`;
+}
+
+/**
+ * Add an entry to the current run's log and show it in the popup
+ * @param {Object} data - { message, type, scene, attempt } (scene is 1-based)
+ * @param {string} source - 'background' | 'content' | 'popup'
+ */
+function recordLog(data, source) {
+  const time = Date.now();
+  const entry = {
+    id: `${time}_${logCounter++}`,
+    time,
+    level: logLevel(data.type),
+    type: data.type || 'info',
+    message: String(data.message),
+    scene: data.scene || null,
+    attempt: data.attempt || null,
+    source,
+    runId: null
+  };
+
+  // Chained on logReady so entries keep their order while the run id loads
+  logReady.then(() => {
+    entry.runId = logRunId;
+    const logId = logRunId || LOG_NO_RUN;
+    if (!logBuffer.has(logId)) logBuffer.set(logId, []);
+    logBuffer.get(logId).push(entry);
+
+    if (!logFlushTimer) {
+      logFlushTimer = setTimeout(() => {
+        logFlushTimer = null;
+        logFlushing = logFlushing.then(flushLogs);
+      }, LOG_FLUSH_MS);
+    }
+
+    sendEvent('LOG_EVENT', entry, { to: 'page' });
+  });
+}
+
+/**
+ * Write the buffered log entries
+ */
+async function flushLogs() {
+  const batches = new Map(logBuffer);
+  logBuffer.clear();
+  if (batches.size === 0) return;
+
+  try {
+    const keys = Array.from(batches.keys()).map(logKey);
+    const stored = await chrome.storage.local.get([...keys, LOG_INDEX_KEY]);
+    const index = stored[LOG_INDEX_KEY] || [];
+    const update = {};
+
+    batches.forEach((entries, logId) => {
+      update[logKey(logId)] = [...(stored[logKey(logId)] || []), ...entries].slice(-LOG_LIMIT);
+      if (!index.includes(logId)) index.push(logId);
+    });
+    update[LOG_INDEX_KEY] = index;
+
+    await chrome.storage.local.set(update);
+  } catch (error) {
+    console.error('[Flow Story Generator] Could not save the activity log:', error);
+  }
+}
+
+/**
+ * Load a run's log, including entries not written yet
+ * @param {string|null} logId - Run id or LOG_NO_RUN; the current run's log when null
+ * @returns {Promise<Object>} { logId, current, entries, runs: [{ id, name, createdAt, current }] }
+ */
+async function loadRunLog(logId) {
+  const job = await loadJob();
+  await logFlushing;
+
+  const current = logRunId || LOG_NO_RUN;
+  const id = logId || current;
+  const stored = await chrome.storage.local.get([logKey(id), LOG_INDEX_KEY]);
+  const entries = [...(stored[logKey(id)] || []), ...(logBuffer.get(id) || [])];
+
+  // Every run with a log, newest first, named as in the history
+  const known = [...(job ? [job] : []), ...(await loadHistory())];
+  const ids = Array.from(new Set([...(stored[LOG_INDEX_KEY] || []), ...logBuffer.keys(), current]));
+  const runs = ids.map(runId => {
+    const run = known.find(candidate => candidate.id === runId);
+    return {
+      id: runId,
+      name: run ? run.name : null,
+      createdAt: run ? run.createdAt : null,
+      current: runId === current
+    };
+  }).sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+  return { logId: id, current, entries, runs };
+}
+
+/**
+ * Delete the entries of a run's log
+ * @param {string} logId - Run id or LOG_NO_RUN
+ * @returns {Promise<Object>} Response for the popup
+ */
+async function clearRunLog(logId) {
+  await logFlushing;
+  logBuffer.delete(logId);
+  await chrome.storage.local.remove(logKey(logId));
+  return { success: true };
+}
+
+/**
+ * Remove the logs of runs that are neither the current job nor in the
+ * history
+ * @param {string[]} runIds - Runs to keep the logs of
+ */
+async function pruneRunLogs(runIds) {
+  await logFlushing;
+  const stored = await chrome.storage.local.get(LOG_INDEX_KEY);
+  const index = stored[LOG_INDEX_KEY] || [];
+  const stale = index.filter(logId => logId !== LOG_NO_RUN && !runIds.includes(logId));
+  if (stale.length === 0) return;
+
+  await chrome.storage.local.remove(stale.map(logKey));
+  await chrome.storage.local.set({ [LOG_INDEX_KEY]: index.filter(logId => !stale.includes(logId)) });
+}
+
+/**
+ * Send a log line to the popup and the in-page panel, and keep it in the
+ * run's log
+ * @param {string} message - Message
+ * @param {string} type - 'debug' | 'info' | 'success' | 'warning' | 'error'
+ * @param {number|null} scene - Scene number (1-based) the line is about
+ */
+function sendLogToPopup(message, type = 'info', scene = null) {
+  recordLog({ message, type, scene }, 'background');
+  broadcastMessage({ action: 'LOG', data: { message, type } });
+}
+
+/**
+ * Log an error thrown while handling a message
+ * @param {Error} error - Error
+ */
+function logListenerError(error) {
+  console.error('[Flow Story Generator] Message handler failed:', error);
+}
+
+/**
+ * Answer a request once a promise settles. A handler that throws answers
+ * { success: false, error } instead of leaving the sender to time out.
+ * @param {Promise<*>} promise - Answer
+ * @param {Function} sendResponse - From the listener
+ * @returns {boolean} True, the answer comes later
+ */
+function respondWith(promise, sendResponse) {
+  promise.then(sendResponse, (error) => {
+    logListenerError(error);
+    sendResponse({ success: false, error: error.message });
+  });
+  return true;
+}
+
+/**
+ * Message listener. Requests of a type not listed here are answered with
+ * an error by listenForMessages.
+ */
+listenForMessages('background', [
+  'START_GENERATION', 'PAUSE_GENERATION', 'RESUME_GENERATION', 'STOP_GENERATION',
+  'RERUN_FAILED', 'SKIP_SCENE', 'GET_JOB_STATUS', 'GET_USAGE',
+  'ENQUEUE_GENERATION', 'GET_QUEUE', 'MOVE_QUEUED', 'CANCEL_QUEUED', 'START_QUEUE',
+  'SCENE_RESULT', 'REVIEW_DECISION', 'CONTENT_READY', 'PAGE_READY',
+  'DOWNLOAD_RUN', 'EXPORT_ZIP', 'LOG', 'GET_LOGS', 'CLEAR_LOGS',
+  'GET_HISTORY', 'CLONE_RUN', 'DELETE_RUN', 'DOWNLOAD_SINGLE', 'GET_DOWNLOAD_STATUS'
+], (message, sender, sendResponse) => {
+  switch (message.action) {
+    case 'START_GENERATION':
+      return respondWith(startJob(message.data), sendResponse);
+
+    case 'PAUSE_GENERATION':
+      return respondWith(setJobStatus('paused'), sendResponse);
+
+    case 'RESUME_GENERATION':
+      return respondWith(setJobStatus('running'), sendResponse);
+
+    case 'STOP_GENERATION':
+      return respondWith(setJobStatus('stopped'), sendResponse);
+
+    case 'RERUN_FAILED':
+      return respondWith(rerunFailedScenes(), sendResponse);
+
+    case 'SKIP_SCENE':
+      return respondWith(skipScene(sender.tab ? sender.tab.id : null), sendResponse);
+
+    case 'GET_JOB_STATUS':
+      return respondWith(loadJob().then(job => ({ job: summarizeJob(job) })), sendResponse);
+
+    case 'GET_USAGE':
+      return respondWith(loadUsage().then(usage => ({ usage })), sendResponse);
+
+    case 'ENQUEUE_GENERATION':
+      return respondWith(enqueueJob(message.data), sendResponse);
+
+    case 'GET_QUEUE':
+      return respondWith(loadQueue().then(queue => ({ queue: summarizeQueue(queue) })), sendResponse);
+
+    case 'MOVE_QUEUED':
+      return respondWith(updateQueue(message.data.id, message.data.offset), sendResponse);
+
+    case 'CANCEL_QUEUED':
+      return respondWith(updateQueue(message.data.id, null), sendResponse);
+
+    case 'START_QUEUE':
+      return respondWith(startQueueNow(), sendResponse);
+
+    case 'SCENE_RESULT':
+      handleSceneResult(message.data).catch(logListenerError);
+      break;
+
+    case 'REVIEW_DECISION':
+      return respondWith(handleReviewDecision(message.data), sendResponse);
+
+    case 'CONTENT_READY':
+      if (sender.tab) {
+        handleContentReady(sender.tab, message.data.loadedAt).catch(logListenerError);
+      }
+      break;
+
+    case 'PAGE_READY':
+      // The popup or history page opened; give it what it missed
+      deliverRetainedEvents();
+      break;
+
+    case 'DOWNLOAD_RUN':
+      if (downloadState.isDownloading) {
+        sendResponse({ success: false, error: 'A download is already in progress' });
+        break;
+      }
+
+      // Download the images recorded in the ledger of the last job, or of
+      // the archived run with data.runId
+      return respondWith(loadRun(message.data.runId).then(job => {
+        const total = job ? queueRunDownload(job, message.data) : 0;
+        if (total === 0) {
+          return { success: false, error: 'No generated images recorded for that run' };
+        }
+
+        processDownloadQueue();
+        return { success: true, total };
+      }), sendResponse);
+
+    case 'EXPORT_ZIP':
+      return respondWith(loadRun(message.data.runId).then(job => exportRunZip(
+        job,
+        message.data.template || DEFAULT_FILENAME_TEMPLATE,
+        message.data.alternates !== false
+      )), sendResponse);
+
+    case 'LOG':
+      // From the content script (with the scene and attempt it was logged
+      // for) or the popup
+      recordLog(message.data, sender.tab ? 'content' : 'popup');
+      break;
+
+    case 'GET_LOGS':
+      return respondWith(loadRunLog(message.data.logId), sendResponse);
+
+    case 'CLEAR_LOGS':
+      return respondWith(clearRunLog(message.data.logId), sendResponse);
+
+    case 'GET_HISTORY':
+      return respondWith(loadHistory().then(history => ({ runs: history.map(summarizeRun) })), sendResponse);
+
+    case 'CLONE_RUN':
+      return respondWith(cloneRun(message.data.runId, message.data.download), sendResponse);
+
+    case 'DELETE_RUN':
+      return respondWith(deleteRun(message.data.runId), sendResponse);
+
+    case 'DOWNLOAD_SINGLE':
+      return respondWith(downloadImage(message.data.url, message.data.filename || 'flow_image.png')
+        .then(success => ({ success })), sendResponse);
+
+    case 'GET_DOWNLOAD_STATUS':
+      sendResponse({
+        isDownloading: downloadState.isDownloading,
+        completed: downloadState.completed,
+        total: downloadState.total
+      });
+      break;
+
+  }
+
+  return false;
+});
+
+// Pause the job if its tab goes away
+chrome.tabs.onRemoved.addListener((tabId) => {
+  handleTabRemoved(tabId);
+});
+
+// End of a rate-limit cool-down, a long wait between prompts, or the start
+// time of a queued storyboard
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === COOLDOWN_ALARM) {
+    endCooldown();
+  } else if (alarm.name === DISPATCH_ALARM) {
+    withJob(dispatchScenes);
+  } else if (alarm.name === QUEUE_ALARM) {
+    withJob(job => advanceQueue(job));
+  }
+});
+
+// Pick the job up again after a browser restart
+chrome.runtime.onStartup.addListener(() => {
+  resumeJob(true);
+});
 
 // Handle extension install/update
 chrome.runtime.onInstalled.addListener((details) => {
@@ -174,3 +2599,8 @@ chrome.runtime.onInstalled.addListener((details) => {
 });
 
 console.log('[Flow Story Generator] Background service worker started');
+
+logReady = loadJob().catch(() => null);
+
+// The worker may have been stopped between scenes; continue a running job
+resumeJob(false);
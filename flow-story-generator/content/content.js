@@ -3,68 +3,92 @@
  * Handles page automation and interaction with Google Flow
  */
 
-// Selectors based on documentation - with multiple fallbacks
-const SELECTORS = {
-  promptTextarea: 'textarea#PINHOLE_TEXT_AREA_ELEMENT_ID',
-  createButton: 'button[aria-label="Create"]',
-  addToPromptButton: 'button[aria-label*="Add To Prompt"]',
-  removeFromPromptButton: 'button[aria-label="Remove From Prompt"]',
-  // Multiple selectors for add ingredient button
-  // NOTE: These buttons use Google Symbols icons, not aria-labels!
-  addIngredientButton: [
-    // Primary: button with <i> containing "add" text (Google Symbols icon)
-    'button:has(i.google-symbols)',
-    'button.sc-c177465c-1',  // Specific class from actual page
-    'button.sc-d02e9a37-1',  // Alternative class
-    // Fallback aria-label selectors (in case they add them later)
-    'button[aria-label="add"]',
-    'button[aria-label="Add"]',
-    'button[aria-label*="add ingredient"]',
-    'button[aria-label*="upload"]',
-    'button[aria-label*="Upload"]'
-  ],
-  fileInput: [
-    'input[type="file"].sc-8770743f-0',  // Specific class from docs
-    'input[type="file"].sc-8770743f-0.kyRuKy',  // Full class from docs
-    'input[type="file"]',
-    'input[type="file"][accept*="image"]',
-    'input[accept=".png,.jpg,.jpeg,.webp,.heic,.avif"]'
-  ],
-  generatedImages: 'img[alt*="Flow Image"]',
-  imageCard: '.sc-6349d8ef-0',  // Container principal do card from docs
-  closeModalButton: [
-    'button[aria-label="close"]',
-    'button[aria-label="Close"]',
-    'button[aria-label*="close"]',
-    '[role="dialog"] button[aria-label*="close"]',
-    '[role="dialog"] button:first-child'
-  ],
-  uploadButton: [
-    // Primary: button with "upload" icon and "Upload" text
-    'button.sc-fbea20b2-0',  // Specific class from actual page
-    'button:has(i.google-symbols)',
-    'button[aria-label*="Upload"]',
-    'button[aria-label*="upload"]'
-  ]
-};
-
-// State management
+// Tells the background the content scripts are in this page already, so it
+// does not inject them a second time (see ensureContentScript)
+window.flowStoryContentScript = true;
+
+// Active selector profile (see lib/selectors.js). Starts as the built-in
+// default and follows the profile saved from the popup without a reload.
+let SELECTORS = DEFAULT_SELECTOR_PROFILE.selectors;
+let selectorProfileName = DEFAULT_SELECTOR_PROFILE.name;
+
+// Failure classes recognized in Flow's error messages, checked in order.
+// The patterns follow the wording of Flow's own messages; text that matches
+// none of them is not read as a failure. Generic errors ("something went
+// wrong") are treated as network failures, which are worth retrying;
+// policy, rate limit and quota failures are not (the background job cools
+// down on rate limits and quotas).
+const FAILURE_PATTERNS = [
+  { type: 'policy', pattern: /violates? (?:our|the) (?:\w+ )?polic|against (?:our|the) (?:\w+ )?polic|content polic|safety (?:filter|guideline|polic)|(?:can(?:no|')t|couldn't|unable to) generate/i },
+  { type: 'rate', pattern: /too many requests|rate.?limit|slow down|too quickly/i },
+  { type: 'quota', pattern: /quota|out of (?:credits|generations)|(?:not enough|no) credits|credits? (?:left|remaining)|(?:daily|generation|usage) limit|reached (?:your|the) (?:\w+ )?limit/i },
+  { type: 'network', pattern: /network error|you(?:'re| are) offline|(?:no|lost) (?:internet )?connection|failed to fetch|server error|something went wrong|(?:couldn't|could not) connect/i }
+];
+
+const NON_RETRYABLE_FAILURES = ['policy', 'rate', 'quota'];
+
+// Wait before the next attempt: RETRY_BASE_MS doubled per failed attempt,
+// up to RETRY_MAX_MS, with +/- 25% jitter so parallel tabs don't retry in step
+const RETRY_BASE_MS = 2000;
+const RETRY_MAX_MS = 30000;
+
+// How long to wait after the last new image before treating the variant
+// set of a Create as complete
+const VARIANT_SETTLE_MS = 3000;
+
+// How long an added ingredient gets to appear in the prompt bar and finish
+// uploading
+const INGREDIENT_TIMEOUT_MS = 30000;
+
+// State of the scene currently being generated. The run itself (scene
+// order, pause/resume, progress) is owned by the background service worker.
 const automationState = {
   isRunning: false,
-  isPaused: false,
-  prompts: [],
+  jobId: null,
   currentIndex: 0,
-  characterImageData: null,
+  // Attempt of the current scene, for the run log
+  attempt: null,
+  characters: [],
   settings: {
     timeout: 60000,
     delay: 2000,
     retries: 3,
     downloadDelay: 500
   },
-  generatedImages: [],
-  lastGeneratedCount: 0
+  lastGeneratedCount: 0,
+  // Incremented for every dispatched scene, so a stopped or skipped scene
+  // that is still unwinding can tell it has been replaced
+  sceneToken: 0
 };
 
+/**
+ * Apply a selector profile
+ * @param {Object|undefined} profile - Saved profile, or undefined for the default
+ */
+function applySelectorProfile(profile) {
+  const active = profile || DEFAULT_SELECTOR_PROFILE;
+  SELECTORS = { ...DEFAULT_SELECTOR_PROFILE.selectors, ...active.selectors };
+  selectorProfileName = `${active.name} v${active.version}`;
+  console.log(`[Flow Story Generator] Using selector profile ${selectorProfileName}`);
+}
+
+/**
+ * Load the saved selector profile
+ */
+async function loadSelectorProfile() {
+  const result = await chrome.storage.local.get(SELECTOR_STORAGE_KEY);
+  applySelectorProfile(result[SELECTOR_STORAGE_KEY]);
+}
+
+/**
+ * All selectors of a role as one selector list, for querySelectorAll
+ * @param {string} role - Selector role
+ * @returns {string}
+ */
+function selectorGroup(role) {
+  return SELECTORS[role].join(', ');
+}
+
 /**
  * Wait for an element to appear in the DOM
  * @param {string} selector - CSS selector
@@ -257,9 +281,9 @@ function debugLogButtons() {
  * @param {string} text - Text to write
  */
 async function writePrompt(text) {
-  const textarea = await waitForElement(SELECTORS.promptTextarea);
+  const textarea = await waitForAnyElement(SELECTORS.promptTextarea);
   if (!textarea) {
-    throw new Error('Prompt textarea not found');
+    throw failureError('ui', 'Prompt textarea not found');
   }
 
   // Focus the textarea first
@@ -326,7 +350,7 @@ async function writePrompt(text) {
  * Uses React-compatible method
  */
 async function clearPrompt() {
-  const textarea = await waitForElement(SELECTORS.promptTextarea);
+  const textarea = await waitForAnyElement(SELECTORS.promptTextarea);
   if (textarea) {
     textarea.focus();
 
@@ -354,11 +378,41 @@ async function clearPrompt() {
 }
 
 /**
- * Upload character image as ingredient
- * @param {string} imageData - Base64 image data
+ * File extension of each image type Flow accepts
  */
-async function uploadCharacterImage(imageData) {
-  sendLog('Uploading character image...', 'info');
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'image/avif': 'avif'
+};
+
+/**
+ * Type of an image from its first bytes, for blobs that come without one
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>} MIME type, 'image/png' when not recognized
+ */
+async function detectImageType(blob) {
+  const bytes = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+  const text = String.fromCharCode(...bytes);
+
+  if (bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff) return 'image/jpeg';
+  if (text.startsWith('RIFF') && text.slice(8, 12) === 'WEBP') return 'image/webp';
+  if (text.slice(4, 8) === 'ftyp') return /avi[fs]/.test(text.slice(8, 12)) ? 'image/avif' : 'image/heic';
+  return 'image/png';
+}
+
+/**
+ * Upload an image as ingredient
+ * @param {string} imageData - Base64 image data or image URL
+ * @param {string} label - Name used in log messages
+ * @param {string} fileName - Name of the uploaded file, without extension
+ * @returns {Promise<string>} Name of the ingredient it became
+ */
+async function uploadCharacterImage(imageData, label = 'Character image', fileName = 'reference') {
+  sendLog(`Uploading ${label.toLowerCase()}...`, 'info');
+  const before = getIngredientChips().map(describeIngredient);
 
   // Debug: log available buttons
   debugLogButtons();
@@ -427,13 +481,18 @@ async function uploadCharacterImage(imageData) {
 
   if (!fileInput) {
     await closeModal();
-    throw new Error('File input not found. Please check browser console for available buttons.');
+    throw failureError('ui', 'File input not found. Please check browser console for available buttons.');
   }
 
-  // Convert base64 to File object
+  // Convert base64 (or URL) to File object
   const response = await fetch(imageData);
+  if (!response.ok) {
+    await closeModal();
+    throw failureError('network', `Could not load ${label.toLowerCase()} (HTTP ${response.status})`);
+  }
   const blob = await response.blob();
-  const file = new File([blob], 'character.png', { type: 'image/png' });
+  const type = IMAGE_EXTENSIONS[blob.type] ? blob.type : await detectImageType(blob);
+  const file = new File([blob], `${fileName}.${IMAGE_EXTENSIONS[type]}`, { type });
 
   // Create DataTransfer and set files
   const dataTransfer = new DataTransfer();
@@ -454,13 +513,127 @@ async function uploadCharacterImage(imageData) {
 
   sendLog('File input populated, waiting for upload...', 'info');
 
-  // Wait for upload to complete
-  await sleep(2000);
+  let attached;
+  try {
+    attached = await waitForIngredient(before, label);
+  } finally {
+    // Close modal if still open
+    await closeModal();
+  }
+
+  sendLog(`${label} uploaded and attached as "${attached}"`, 'success');
+  return attached;
+}
+
+/**
+ * Ingredient chips attached to the prompt
+ * @returns {Element[]}
+ */
+function getIngredientChips() {
+  const chips = Array.from(document.querySelectorAll(selectorGroup('ingredientChip')));
+  // Fallback selectors can match a chip and its container; keep the chip
+  return chips.filter(chip => !chips.some(other => other !== chip && chip.contains(other)));
+}
+
+/**
+ * Whether a chip's image is still uploading
+ * @param {Element} chip - Ingredient chip
+ * @returns {boolean}
+ */
+function isIngredientUploading(chip) {
+  const uploading = selectorGroup('ingredientUploading');
+  return chip.matches(uploading) || !!chip.querySelector(uploading);
+}
 
-  // Close modal if still open
-  await closeModal();
+/**
+ * Name of an ingredient chip: its title, image alt text or text
+ * @param {Element} chip - Ingredient chip
+ * @returns {string}
+ */
+function describeIngredient(chip) {
+  const img = chip.querySelector('img');
+  const name = chip.getAttribute('title') || (img && img.alt) || chip.textContent;
+  return (name || '').trim().substring(0, 80) || 'ingredient';
+}
 
-  sendLog('Character image uploaded', 'success');
+/**
+ * Wait for one more ingredient than before to be attached, with no upload
+ * still in progress
+ * @param {string[]} before - Names of the chips before it was added
+ * @param {string} label - Name used in log messages
+ * @returns {Promise<string>} Name of the new chip
+ */
+async function waitForIngredient(before, label) {
+  const deadline = Date.now() + INGREDIENT_TIMEOUT_MS;
+  let chips = [];
+
+  while (Date.now() < deadline) {
+    chips = getIngredientChips();
+    if (chips.length > before.length && !chips.some(isIngredientUploading)) {
+      // The chip whose name was not there before; Flow may re-render chips
+      const remaining = [...before];
+      const names = chips.map(describeIngredient);
+      const added = names.find(name => {
+        const index = remaining.indexOf(name);
+        if (index === -1) return true;
+        remaining.splice(index, 1);
+        return false;
+      });
+      return added || names[names.length - 1];
+    }
+    await sleep(250);
+  }
+
+  throw failureError('ui', chips.length > before.length
+    ? `${label} was still uploading after ${INGREDIENT_TIMEOUT_MS / 1000}s`
+    : `${label} did not show up in the prompt bar (check the "Attached ingredient" selectors)`);
+}
+
+/**
+ * Remove the ingredients left in the prompt bar, e.g. by an attempt that
+ * failed before Create
+ */
+async function clearIngredients() {
+  const left = getIngredientChips().length;
+
+  for (let i = 0; i < left; i++) {
+    const chip = getIngredientChips()[0];
+    if (!chip) break;
+    // Other buttons on a chip may open or replace the image
+    const remove = chip.querySelector(selectorGroup('ingredientRemoveButton'));
+    if (!remove) {
+      throw failureError('ui', `No remove button found on ingredient ${describeIngredient(chip)} (check the "Remove ingredient button" selectors)`);
+    }
+    remove.click();
+    await sleep(300);
+  }
+
+  const remaining = getIngredientChips().length;
+  if (remaining > 0) {
+    throw failureError('ui', `Could not remove the ${remaining} ingredient(s) already in the prompt bar`);
+  }
+  if (left > 0) {
+    sendLog(`Removed ${left} ingredient(s) left in the prompt bar`, 'info');
+  }
+}
+
+/**
+ * Check that exactly the expected number of ingredients is attached, with
+ * no upload in progress, before Create
+ * @param {number} expected - Ingredients added for the scene
+ */
+function verifyIngredients(expected) {
+  const chips = getIngredientChips();
+
+  if (chips.some(isIngredientUploading)) {
+    throw failureError('ui', 'An ingredient is still uploading');
+  }
+  if (chips.length !== expected) {
+    throw failureError('ui', `Expected ${expected} ingredient(s) in the prompt bar, found ${chips.length}`);
+  }
+  if (expected > 0) {
+    sendLog(`${expected} ingredient(s) attached: ${chips.map(describeIngredient).join(', ')}`, 'info');
+  }
 }
 
 /**
@@ -494,58 +667,192 @@ async function closeModal() {
 }
 
 /**
- * Click "Add To Prompt" on the last generated image
+ * Identify an image by its URL without the query string, which Flow's
+ * signed URLs change between renders
+ * @param {string} url - Image URL
+ * @returns {string}
+ */
+function imageKey(url) {
+  return (url || '').split(/[?#]/)[0];
+}
+
+/**
+ * Stable id for a generated image: the file name of its URL, or a hash
+ * of the URL for inline (data:) images
+ * @param {string} url - Image URL
+ * @returns {string}
  */
-async function addLastImageToPrompt() {
-  sendLog('Adding last image to prompt...', 'info');
+function imageId(url) {
+  const key = imageKey(url);
+  if (/^https?:/.test(key)) {
+    const name = key.split('/').filter(part => part).pop();
+    if (name) return name;
+  }
 
-  const images = document.querySelectorAll(SELECTORS.generatedImages);
-  if (images.length === 0) {
-    sendLog('No images found to add', 'warning');
-    return false;
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = (hash * 31 + key.charCodeAt(i)) | 0;
   }
+  return `img_${(hash >>> 0).toString(16)}`;
+}
 
-  // Get the last image's container
-  const lastImage = images[images.length - 1];
+/**
+ * Find a generated image on the page by its URL
+ * @param {string} imageUrl - Image URL recorded when it was generated
+ * @returns {Element|null}
+ */
+function findGeneratedImage(imageUrl) {
+  const key = imageKey(imageUrl);
+  const images = document.querySelectorAll(selectorGroup('generatedImages'));
+  return Array.from(images).find(img => imageKey(img.src) === key) || null;
+}
+
+/**
+ * Click "Add To Prompt" on a specific generated image
+ * @param {string} imageUrl - URL of the image to add (a chained scene's image)
+ * @returns {Promise<string>} Name of the ingredient it became
+ */
+async function addImageToPrompt(imageUrl) {
+  sendLog('Adding previous scene image to prompt...', 'info');
+  const before = getIngredientChips().map(describeIngredient);
+
+  const image = findGeneratedImage(imageUrl);
+  if (!image) {
+    throw failureError('ui', 'Chained scene image is no longer on the page');
+  }
 
   // Find the Add To Prompt button in the same card/container
   // Navigate up to find the parent container that has the button
-  let container = lastImage.closest('[data-index]') || lastImage.parentElement;
+  let container = image.closest('[data-index]') || image.parentElement;
   let attempts = 0;
 
   while (container && attempts < 10) {
-    const addButton = container.querySelector(SELECTORS.addToPromptButton);
+    const addButton = container.querySelector(selectorGroup('addToPromptButton'));
     if (addButton) {
       addButton.click();
-      await sleep(500);
-      sendLog('Last image added to prompt', 'success');
-      return true;
+      const attached = await waitForIngredient(before, 'Previous scene image');
+      sendLog(`Previous scene image added to prompt as "${attached}"`, 'success');
+      return attached;
     }
     container = container.parentElement;
     attempts++;
   }
 
-  // If not found in container, try finding by proximity or just use first available
-  const allAddButtons = document.querySelectorAll(SELECTORS.addToPromptButton);
-  if (allAddButtons.length > 0) {
-    // Click the last Add To Prompt button (most recent image)
-    allAddButtons[allAddButtons.length - 1].click();
-    await sleep(500);
-    sendLog('Added most recent image to prompt', 'success');
-    return true;
+  throw failureError('ui', 'Could not find Add To Prompt button for the previous scene image');
+}
+
+/**
+ * Delay before the next attempt of a scene
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempt) {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+/**
+ * Create an error carrying a failure class
+ * @param {string} type - 'policy' | 'rate' | 'quota' | 'network' | 'ui' | 'timeout' | 'stopped'
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function failureError(type, message) {
+  const error = new Error(message);
+  error.failureType = type;
+  return error;
+}
+
+/**
+ * Classify an error message
+ * @param {string} text - Message text
+ * @returns {string|null} Failure class, or null if the text is not an error
+ */
+function classifyFailure(text) {
+  const match = FAILURE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.type : null;
+}
+
+/**
+ * Count the error messages currently on the page. Cards that hold a
+ * generated image are skipped, and the prompt text is ignored so a prompt
+ * that mentions e.g. "network" is not mistaken for an error.
+ * @param {string} promptText - Prompt of the scene being generated
+ * @returns {Map<string, Object>} Message text -> { type, text, count }
+ */
+function getFailureMessages(promptText) {
+  const messages = new Map();
+
+  document.querySelectorAll(selectorGroup('errorMessage')).forEach(element => {
+    if (element.querySelector(selectorGroup('generatedImages'))) return;
+
+    let text = (element.textContent || '').replace(/\s+/g, ' ').trim();
+    if (promptText) text = text.split(promptText).join(' ').trim();
+    if (!text || text.length > 300) return;
+
+    const type = classifyFailure(text);
+    if (!type) return;
+
+    const message = messages.get(text) || { type, text, count: 0 };
+    message.count++;
+    messages.set(text, message);
+  });
+
+  return messages;
+}
+
+/**
+ * Find an error message that appeared since a baseline was taken. Counting
+ * messages by text means re-rendered old errors are not reported again.
+ * @param {Map<string, Object>} baseline - getFailureMessages() before Create
+ * @param {string} promptText - Prompt of the scene being generated
+ * @returns {{type: string, message: string}|null}
+ */
+function findNewFailure(baseline, promptText) {
+  for (const [text, message] of getFailureMessages(promptText)) {
+    const before = baseline.get(text);
+    if (message.count > (before ? before.count : 0)) {
+      return { type: message.type, message: text };
+    }
   }
+  return null;
+}
 
-  sendLog('Could not find Add To Prompt button', 'warning');
-  return false;
+/**
+ * Whether a button is disabled, natively or through ARIA
+ */
+function isDisabled(button) {
+  return button.disabled || button.getAttribute('aria-disabled') === 'true';
 }
 
 /**
  * Click the Create button to start generation
+ * @param {string} promptText - Prompt of the scene, to tell errors apart from it
+ * @param {boolean} dryRun - Only check that Create could be clicked
  */
-async function clickCreate() {
-  const createButton = await waitForElement(SELECTORS.createButton);
+async function clickCreate(promptText, dryRun = false) {
+  const createButton = await waitForAnyElement(SELECTORS.createButton);
   if (!createButton) {
-    throw new Error('Create button not found');
+    throw failureError('ui', 'Create button not found');
+  }
+
+  // Flow disables Create when it can't generate (e.g. out of credits);
+  // give it a moment in case the prompt is still being processed
+  const startTime = Date.now();
+  while (isDisabled(createButton) && Date.now() - startTime < 5000) {
+    await sleep(250);
+  }
+
+  if (isDisabled(createButton)) {
+    const failure = findNewFailure(new Map(), promptText);
+    throw failure
+      ? failureError(failure.type, `Create is disabled: ${failure.message}`)
+      : failureError('ui', 'Create button is disabled');
+  }
+
+  if (dryRun) {
+    sendLog('Dry run: Create is ready, not clicking it', 'info');
+    return;
   }
 
   createButton.click();
@@ -553,227 +860,361 @@ async function clickCreate() {
 }
 
 /**
- * Wait for image generation to complete
+ * Get the URLs of images on the page that are not in a known set
+ * @param {Set<string>} knownKeys - Image keys present before generation
+ * @returns {string[]}
+ */
+function getNewImageUrls(knownKeys) {
+  return Array.from(document.querySelectorAll(selectorGroup('generatedImages')))
+    .map(img => img.src)
+    .filter(src => src && !knownKeys.has(imageKey(src)));
+}
+
+/**
+ * Wait for image generation to complete, or for Flow to report a failure.
+ * One Create can produce several variants that appear one after another,
+ * so the wait ends once no new image has appeared for VARIANT_SETTLE_MS.
  * @param {number} timeout - Maximum wait time in ms
- * @returns {Promise<boolean>}
+ * @param {Map<string, Object>} baseline - Error messages on the page before Create
+ * @param {string} promptText - Prompt of the scene being generated
+ * @param {number} token - sceneToken of the scene; the wait ends when it is stopped
+ * @returns {Promise<Object>} { images: string[] } (the variant set, in page
+ *   order) or { failure: { type, message } }
  */
-async function waitForGenerationComplete(timeout = 60000) {
+async function waitForGenerationComplete(timeout, baseline, promptText, token) {
   const startTime = Date.now();
-  const initialCount = document.querySelectorAll(SELECTORS.generatedImages).length;
+  const initialImages = document.querySelectorAll(selectorGroup('generatedImages'));
+  const initialCount = initialImages.length;
+  const knownKeys = new Set(Array.from(initialImages).map(img => imageKey(img.src)));
+  let variantCount = 0;
+  let lastVariantAt = 0;
 
   sendLog(`Waiting for generation... (${initialCount} images currently)`, 'info');
 
   return new Promise((resolve) => {
-    const observer = new MutationObserver(() => {
-      const currentImages = document.querySelectorAll(SELECTORS.generatedImages);
+    const finish = (outcome) => {
+      observer.disconnect();
+      clearInterval(pollInterval);
+      resolve(outcome);
+    };
 
-      // Check if new images appeared
-      if (currentImages.length > initialCount) {
-        observer.disconnect();
-        automationState.lastGeneratedCount = currentImages.length;
-        sendLog(`Generation complete! New total: ${currentImages.length} images`, 'success');
-        resolve(true);
+    const completeVariantSet = () => {
+      const images = getNewImageUrls(knownKeys);
+      automationState.lastGeneratedCount = initialCount + images.length;
+      sendLog(`Generation complete! ${images.length} new variant(s)`, 'success');
+      finish({ images });
+    };
+
+    const check = () => {
+      // Track the variants of this Create as they appear
+      const newCount = getNewImageUrls(knownKeys).length;
+      if (newCount > variantCount) {
+        variantCount = newCount;
+        lastVariantAt = Date.now();
       }
-    });
+
+      if (variantCount > 0) {
+        if (Date.now() - lastVariantAt >= VARIANT_SETTLE_MS) {
+          completeVariantSet();
+        }
+        return;
+      }
+
+      // Check for an error toast or a rejected generation card
+      const failure = findNewFailure(baseline, promptText);
+      if (failure) {
+        sendLog(`Flow reported a ${failure.type} failure: ${failure.message}`, 'warning');
+        finish({ failure });
+      }
+    };
+
+    const observer = new MutationObserver(check);
 
     observer.observe(document.body, {
       childList: true,
       subtree: true
     });
 
-    // Also poll for progress indicators disappearing
+    // Also poll, which catches messages whose text changed in place and
+    // ends the wait once the variant set has settled
     const pollInterval = setInterval(() => {
-      // Check timeout
+      if (isSceneStopped(token)) {
+        finish({ failure: { type: 'stopped', message: 'Scene stopped' } });
+        return;
+      }
+
+      // Check timeout; keep whatever variants already arrived
       if (Date.now() - startTime > timeout) {
-        observer.disconnect();
-        clearInterval(pollInterval);
+        if (variantCount > 0) {
+          completeVariantSet();
+          return;
+        }
         sendLog('Generation timeout', 'warning');
-        resolve(false);
+        finish({ failure: { type: 'timeout', message: `No new image after ${Math.round(timeout / 1000)}s` } });
+        return;
       }
 
-      // Check for new images
-      const currentImages = document.querySelectorAll(SELECTORS.generatedImages);
-      if (currentImages.length > initialCount) {
-        observer.disconnect();
-        clearInterval(pollInterval);
-        automationState.lastGeneratedCount = currentImages.length;
-        sendLog(`Generation complete! New total: ${currentImages.length} images`, 'success');
-        resolve(true);
-      }
-    }, 1000);
+      check();
+    }, 500);
   });
 }
 
 /**
- * Extract all generated images data
- * @returns {Array} Array of image objects with url, prompt, and order
+ * Whether a scene was stopped or replaced by a newer one
+ * @param {number} token - sceneToken of the scene
+ * @returns {boolean}
  */
-function extractAllImages() {
-  const images = document.querySelectorAll(SELECTORS.generatedImages);
-  const imageData = [];
+function isSceneStopped(token) {
+  return !automationState.isRunning || automationState.sceneToken !== token;
+}
 
-  images.forEach((img, index) => {
-    // Get the data-index from parent container if available
-    const parentWithIndex = img.closest('[data-index]');
-    const dataIndex = parentWithIndex ? parseInt(parentWithIndex.getAttribute('data-index')) : index;
+/**
+ * Get run settings with the scene's own overrides applied
+ * @param {Object} scene - Scene object
+ * @returns {Object} Settings
+ */
+function getSceneSettings(scene) {
+  return { ...automationState.settings, ...(scene.settings || {}) };
+}
 
-    imageData.push({
-      url: img.src,
-      prompt: img.alt.replace('Flow Image: ', ''),
-      order: dataIndex,
-      index: index
-    });
+/**
+ * Get the library characters a scene is tagged with, in tag order
+ * @param {Object} scene - Scene object
+ * @returns {Array} Characters ({ name, images })
+ */
+function getSceneCharacters(scene) {
+  return (scene.characters || [])
+    .map(name => automationState.characters.find(character => character.name === name))
+    .filter(character => character);
+}
+
+/**
+ * Describe the references a scene uses, for the run ledger, in the order
+ * they are added. Each has the number of images it adds, and confirmed /
+ * attached: how many of them were seen in the prompt bar, and the names
+ * of their ingredient chips.
+ * @param {Array} chainImages - Images of the scenes it continues from ({ url })
+ * @param {Array} characters - Tagged characters
+ * @param {string[]} references - Scene reference images
+ * @returns {Array}
+ */
+function describeReferences(chainImages, characters, references) {
+  const described = [];
+
+  chainImages.forEach(({ url }) => {
+    described.push({ type: 'chain', id: imageId(url), url, images: 1, confirmed: 0, attached: [] });
+  });
+
+  characters.forEach(character => {
+    described.push({ type: 'character', name: character.name, images: character.images.length, confirmed: 0, attached: [] });
   });
 
-  // Sort by order/index to maintain sequence
-  imageData.sort((a, b) => a.order - b.order);
+  references.forEach(url => {
+    // Inline images would bloat the ledger; keep only their type
+    const source = url.startsWith('data:') ? url.substring(0, url.indexOf(';')) : url;
+    described.push({ type: 'reference', source, images: 1, confirmed: 0, attached: [] });
+  });
 
-  return imageData;
+  return described;
 }
 
 /**
- * Process a single prompt
- * @param {string} promptText - The prompt text
- * @param {boolean} isFirst - Whether this is the first prompt
- * @param {string} characterImageData - Base64 character image data
- * @returns {Promise<boolean>} Success status
+ * Process a single scene
+ * @param {Object} scene - Scene object ({ id, prompt, title, references, settings, characters })
+ * @param {Array} chainImages - Images of the scenes it continues from:
+ *   { url, dataUrl } where dataUrl is a copy for images made in another tab
+ * @param {number} token - sceneToken of the scene, checked between steps
+ * @param {number} maxAttempts - Attempts left in the generation budget
+ * @returns {Promise<Object>} { success, attempts, generations, images: [{ id, url }], references, failure, dryRun }
  */
-async function processPrompt(promptText, isFirst, characterImageData) {
-  const { retries, timeout } = automationState.settings;
+async function processPrompt(scene, chainImages, token, maxAttempts = Infinity) {
+  const { timeout, dryRun } = getSceneSettings(scene);
+  // Every attempt clicks Create at most once, so this keeps the scene
+  // within the generation budget
+  const retries = Math.min(getSceneSettings(scene).retries, maxAttempts);
+  const promptText = scene.prompt;
+  const references = scene.references || [];
+  const characters = getSceneCharacters(scene);
+  const result = {
+    success: false,
+    attempts: 0,
+    // Number of Create clicks, counted against the generation budget
+    generations: 0,
+    images: [],
+    references: describeReferences(chainImages, characters, references),
+    failure: null
+  };
+
+  const ensureActive = () => {
+    if (isSceneStopped(token)) throw failureError('stopped', 'Scene stopped');
+  };
 
   for (let attempt = 1; attempt <= retries; attempt++) {
+    if (isSceneStopped(token)) {
+      sendLog('Scene stopped', 'warning');
+      return result;
+    }
+
+    result.attempts = attempt;
+    automationState.attempt = attempt;
+    // Only what this attempt attaches counts
+    result.references = describeReferences(chainImages, characters, references);
+    const confirm = (reference, attached) => {
+      reference.confirmed++;
+      reference.attached.push(attached);
+    };
+
     try {
       sendLog(`Processing prompt (attempt ${attempt}/${retries}): "${promptText.substring(0, 40)}..."`, 'info');
 
-      // Step 1: Clear current prompt
+      // Step 1: Clear current prompt and any ingredients left in it
       await clearPrompt();
+      await clearIngredients();
       await sleep(300);
 
       // Step 2: Write the prompt FIRST (so user can see it)
       await writePrompt(promptText);
       await sleep(300);
 
-      // Step 3: If not first prompt, add the last generated image as ingredient
-      if (!isFirst) {
-        await addLastImageToPrompt();
+      // Step 3: Add the images of the scenes it continues from as ingredients.
+      // Images generated in this tab are added from the page; the others
+      // are uploaded from the copy the background sent along.
+      for (let c = 0; c < chainImages.length; c++) {
+        ensureActive();
+        const chainImage = chainImages[c];
+        const attached = chainImage.dataUrl && !findGeneratedImage(chainImage.url)
+          ? await uploadCharacterImage(chainImage.dataUrl, 'Chained scene image', 'chained-scene')
+          : await addImageToPrompt(chainImage.url);
+        confirm(result.references[c], attached);
         await sleep(500);
       }
 
-      // Step 4: Upload character image as ingredient (OPTIONAL)
-      if (characterImageData) {
-        await uploadCharacterImage(characterImageData);
+      // Step 4: Upload the tagged characters' images as ingredients (OPTIONAL)
+      for (let c = 0; c < characters.length; c++) {
+        const character = characters[c];
+        for (let img = 0; img < character.images.length; img++) {
+          ensureActive();
+          const attached = await uploadCharacterImage(character.images[img], `@${character.name} image ${img + 1}/${character.images.length}`, `${character.name}-${img + 1}`);
+          confirm(result.references[chainImages.length + c], attached);
+          await sleep(500);
+        }
+      }
+
+      if (characters.length === 0 && references.length === 0) {
+        sendLog('No characters tagged - sending prompt only', 'info');
+      }
+
+      // Step 4b: Upload the scene's own reference images
+      for (let r = 0; r < references.length; r++) {
+        ensureActive();
+        const attached = await uploadCharacterImage(references[r], `Reference ${r + 1}/${references.length}`, `reference-${r + 1}`);
+        confirm(result.references[chainImages.length + characters.length + r], attached);
         await sleep(500);
-      } else {
-        sendLog('No character image - sending prompt only', 'info');
       }
 
-      // Step 5: Click create to generate
-      await clickCreate();
+      // Step 5: Check that every ingredient made it, then click create
+      ensureActive();
+      verifyIngredients(result.references.reduce((total, reference) => total + reference.images, 0));
+      const baseline = getFailureMessages(promptText);
+      await clickCreate(promptText, dryRun);
+
+      // A dry run ends here: the scene is done, without images
+      if (dryRun) {
+        result.success = true;
+        result.failure = null;
+        result.dryRun = true;
+        return result;
+      }
+      result.generations++;
 
       // Wait for generation
-      const success = await waitForGenerationComplete(timeout);
+      const outcome = await waitForGenerationComplete(timeout, baseline, promptText, token);
 
-      if (success) {
-        return true;
+      if (outcome.images) {
+        result.success = true;
+        result.failure = null;
+        result.images = outcome.images.map(url => ({ id: imageId(url), url }));
+        return result;
       }
 
-      sendLog(`Attempt ${attempt} failed, retrying...`, 'warning');
+      result.failure = { ...outcome.failure, attempt };
+      if (result.failure.type === 'stopped') return result;
     } catch (error) {
+      if (error.failureType === 'stopped') {
+        sendLog('Scene stopped', 'warning');
+        return result;
+      }
+      const type = error.failureType || classifyFailure(error.message) || 'ui';
+      result.failure = { type, message: error.message, attempt };
       sendLog(`Error on attempt ${attempt}: ${error.message}`, 'error');
     }
 
+    if (NON_RETRYABLE_FAILURES.includes(result.failure.type)) {
+      sendLog(`Not retrying a ${result.failure.type} failure`, 'error');
+      return result;
+    }
+
     if (attempt < retries) {
-      await sleep(2000);
+      const delay = retryDelay(attempt);
+      sendLog(`Attempt ${attempt} failed (${result.failure.type}), retrying in ${Math.round(delay / 1000)}s...`, 'warning');
+      await sleep(delay);
     }
   }
 
   sendLog(`Failed to process prompt after ${retries} attempts`, 'error');
-  return false;
+  return result;
 }
 
 /**
- * Main automation loop
+ * Run one scene dispatched by the background job and report the outcome
+ * @param {Object} data - { jobId, index, scene, chainImages, characters, settings, maxAttempts }
  */
-async function runAutomation() {
-  const { prompts, characterImageData, settings } = automationState;
-
-  for (let i = automationState.currentIndex; i < prompts.length; i++) {
-    // Check if paused or stopped
-    if (!automationState.isRunning) {
-      sendLog('Automation stopped', 'warning');
-      break;
-    }
-
-    while (automationState.isPaused) {
-      await sleep(500);
-      if (!automationState.isRunning) break;
-    }
-
-    if (!automationState.isRunning) break;
-
-    automationState.currentIndex = i;
-    const prompt = prompts[i];
-    const isFirst = i === 0;
-
-    // Send progress update
-    sendProgressUpdate(i, prompts.length, prompt);
-
-    // Process the prompt
-    const success = await processPrompt(prompt, isFirst, characterImageData);
-
-    if (!success) {
-      sendError(`Failed to generate image for prompt ${i + 1}`, false);
-    }
-
-    // Send progress update after completion
-    sendProgressUpdate(i + 1, prompts.length, prompt);
-
-    // Delay before next prompt
-    if (i < prompts.length - 1) {
-      await sleep(settings.delay);
-    }
+async function runScene(data) {
+  const token = ++automationState.sceneToken;
+  automationState.isRunning = true;
+  automationState.jobId = data.jobId;
+  automationState.currentIndex = data.index;
+  automationState.attempt = null;
+  automationState.characters = data.characters || [];
+  automationState.settings = data.settings;
+
+  await selectorsReady;
+
+  let result = { success: false, attempts: 1, generations: 0, images: [], references: [], failure: null };
+  try {
+    result = await processPrompt(data.scene, data.chainImages || [], token, data.maxAttempts);
+  } catch (error) {
+    result.failure = { type: error.failureType || 'ui', message: error.message, attempt: 1 };
+    sendLog(`Scene ${data.index + 1} failed: ${error.message}`, 'error');
   }
 
-  // Complete
+  // A newer scene has taken over; leave its state alone
+  if (automationState.sceneToken !== token) return;
+
+  const stopped = !automationState.isRunning;
   automationState.isRunning = false;
-  automationState.generatedImages = extractAllImages();
 
-  chrome.runtime.sendMessage({
-    action: 'GENERATION_COMPLETE',
-    data: {
-      total: automationState.generatedImages.length,
-      images: automationState.generatedImages
-    }
-  });
-}
+  if (stopped) return;
 
-/**
- * Send progress update to popup
- */
-function sendProgressUpdate(current, total, prompt) {
-  chrome.runtime.sendMessage({
-    action: 'PROGRESS_UPDATE',
-    data: { current, total, prompt }
-  });
+  // The service worker may be starting up; a lost result would leave the
+  // scene running until the job notices the tab is idle
+  const delivered = await sendEvent('SCENE_RESULT', { jobId: data.jobId, index: data.index, ...result }, { retries: 3 });
+  if (!delivered) {
+    console.error(`[Flow Story Generator] Could not report the result of scene ${data.index + 1}`);
+  }
 }
 
 /**
- * Send log message to popup
+ * Send log message to popup, and to the run log tagged with the scene
+ * being generated
  */
 function sendLog(message, type = 'info') {
-  chrome.runtime.sendMessage({
-    action: 'LOG',
-    data: { message, type }
-  });
-}
-
-/**
- * Send error to popup
- */
-function sendError(error, fatal = false) {
-  chrome.runtime.sendMessage({
-    action: 'GENERATION_ERROR',
-    data: { error, fatal }
+  addPanelLog(message, type);
+  sendEvent('LOG', {
+    message,
+    type,
+    scene: automationState.isRunning ? automationState.currentIndex + 1 : null,
+    attempt: automationState.isRunning ? automationState.attempt : null
   });
 }
 
@@ -844,43 +1285,177 @@ function scanPage() {
 }
 
 /**
- * Message listener for commands from popup
+ * Find the first selector of a role that matches the page
+ * @param {string} role - Selector role
+ * @returns {{selector: string, count: number}|null}
+ */
+function matchRole(role) {
+  for (const selector of SELECTORS[role]) {
+    try {
+      const count = document.querySelectorAll(selector).length;
+      if (count > 0) return { selector, count };
+    } catch (e) {
+      // Invalid selector, skip
+    }
+  }
+  return null;
+}
+
+/**
+ * Elements found by scanPage that look like they could fill a role,
+ * shown when the role's selectors don't match anything
+ * @param {Object} scan - scanPage results
+ * @param {string[]} keywords - Words to look for
+ * @returns {string[]}
+ */
+function findRoleCandidates(scan, keywords) {
+  const matches = value => keywords.some(keyword => (value || '').toLowerCase() === keyword ||
+    (keyword.length > 3 && (value || '').toLowerCase().includes(keyword)));
+
+  const buttons = scan.buttons
+    .filter(b => matches(b.ariaLabel) || matches(b.iconText) || matches(b.text))
+    .map(b => `button "${b.ariaLabel || b.iconText || b.text}" class="${b.className}"`);
+  const inputs = scan.inputs
+    .filter(inp => matches(inp.accept))
+    .map(inp => `input accept="${inp.accept}" class="${inp.className}"`);
+  const textareas = scan.textareas
+    .filter(ta => matches(ta.placeholder) || matches(ta.id))
+    .map(ta => `textarea id="${ta.id}"`);
+  const images = scan.images
+    .filter(img => matches(img.alt))
+    .map(img => `img alt="${img.alt}"`);
+
+  return [...buttons, ...inputs, ...textareas, ...images].slice(0, 3);
+}
+
+/**
+ * Test every selector role against the page
+ * @param {boolean} interactive - Open the add ingredient dialog to test the
+ *   roles that only exist inside it
+ * @returns {Promise<Object>} { profile, checks: [{ role, label, required, status, selector, count, detail, candidates }] }
+ */
+async function checkSelectorHealth(interactive) {
+  const results = new Map();
+
+  const check = (role) => {
+    const match = matchRole(role);
+    results.set(role, match
+      ? { status: 'pass', selector: match.selector, count: match.count }
+      : { status: 'fail' });
+  };
+
+  SELECTOR_ROLES.forEach(({ role }) => check(role));
+
+  // Add To Prompt only exists on generated images
+  if (results.get('generatedImages').status === 'fail' && results.get('addToPromptButton').status === 'fail') {
+    const detail = 'No generated images on the page to test with';
+    results.set('generatedImages', { status: 'skip', detail });
+    results.set('addToPromptButton', { status: 'skip', detail });
+  }
+
+  // Error messages are only on the page while Flow shows an error
+  SELECTOR_ROLES
+    .filter(({ role, onlyOnError }) => onlyOnError && results.get(role).status === 'fail')
+    .forEach(({ role }) => results.set(role, { status: 'skip', detail: 'Only shown when Flow reports an error' }));
+
+  // Chips are only there while ingredients are attached, the upload
+  // marker only while one uploads
+  if (results.get('ingredientChip').status === 'fail') {
+    results.set('ingredientChip', { status: 'skip', detail: 'No ingredients attached to test with' });
+    if (results.get('ingredientRemoveButton').status === 'fail') {
+      results.set('ingredientRemoveButton', { status: 'skip', detail: 'No ingredients attached to test with' });
+    }
+  }
+  if (results.get('ingredientUploading').status === 'fail') {
+    results.set('ingredientUploading', { status: 'skip', detail: 'Only shown while an ingredient uploads' });
+  }
+
+  // The file input and close button live in the add ingredient dialog
+  const dialogRoles = ['fileInput', 'closeModalButton'].filter(role => results.get(role).status === 'fail');
+  if (dialogRoles.length > 0) {
+    const addButton = findElementBySelectors(SELECTORS.addIngredientButton);
+    if (interactive && addButton && !automationState.isRunning) {
+      addButton.click();
+      await sleep(800);
+      dialogRoles.forEach(role => check(role));
+      await closeModal();
+    } else {
+      dialogRoles.forEach(role => results.set(role, {
+        status: 'skip',
+        detail: interactive ? 'Add ingredient dialog could not be opened' : 'Only shown in the add ingredient dialog'
+      }));
+    }
+  }
+
+  const scan = scanPage();
+  const checks = SELECTOR_ROLES.map(({ role, label, required, keywords }) => {
+    const result = { role, label, required, ...results.get(role) };
+    if (result.status === 'fail') {
+      result.candidates = findRoleCandidates(scan, keywords);
+    }
+    return result;
+  });
+
+  return { profile: selectorProfileName, checks };
+}
+
+/**
+ * Message listener for commands from the background service worker and
+ * popup, and the job broadcasts shown in the in-page panel. The mock Flow
+ * page is an extension page, where the broadcasts arrive as page messages.
  */
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+listenForMessages(location.protocol === 'chrome-extension:' ? ['content', 'page'] : 'content', [
+  'RUN_SCENE', 'STOP_GENERATION', 'SHOW_REVIEW', 'HIDE_REVIEW',
+  'JOB_STATUS', 'PROGRESS_UPDATE', 'LOG', 'GENERATION_ERROR', 'GENERATION_COMPLETE',
+  'SCAN_PAGE', 'HEALTH_CHECK', 'PING'
+], (message, sender, sendResponse) => {
   switch (message.action) {
-    case 'START_GENERATION':
-      automationState.isRunning = true;
-      automationState.isPaused = false;
-      automationState.prompts = message.data.prompts;
-      automationState.characterImageData = message.data.characterImageData;
-      automationState.settings = message.data.settings;
-      automationState.currentIndex = 0;
-      automationState.generatedImages = [];
-
-      // Start automation in background
-      runAutomation();
-      sendResponse({ success: true });
+    case 'RUN_SCENE':
+      if (automationState.isRunning) {
+        sendResponse({ accepted: false, busy: true });
+        break;
+      }
+
+      // Run the scene in background; the result comes back as SCENE_RESULT
+      runScene(message.data);
+      sendResponse({ accepted: true });
       break;
 
-    case 'PAUSE_GENERATION':
-      automationState.isPaused = true;
+    case 'STOP_GENERATION':
+      automationState.isRunning = false;
+      hideReview();
       sendResponse({ success: true });
       break;
 
-    case 'RESUME_GENERATION':
-      automationState.isPaused = false;
+    case 'SHOW_REVIEW':
+      showReview(message.data);
       sendResponse({ success: true });
       break;
 
-    case 'STOP_GENERATION':
-      automationState.isRunning = false;
-      automationState.isPaused = false;
+    case 'HIDE_REVIEW':
+      hideReview();
       sendResponse({ success: true });
       break;
 
-    case 'GET_ALL_IMAGES':
-      const images = extractAllImages();
-      sendResponse({ images });
+    // Broadcasts from the background job, shown in the in-page panel
+    case 'JOB_STATUS':
+      updatePanelJob(message.data);
+      break;
+
+    case 'PROGRESS_UPDATE':
+      updatePanelProgress(message.data);
+      break;
+
+    case 'LOG':
+      addPanelLog(message.data.message, message.data.type);
+      break;
+
+    case 'GENERATION_ERROR':
+      addPanelLog(message.data.error, 'error');
+      break;
+
+    case 'GENERATION_COMPLETE':
+      addPanelLog(`Generation complete: ${message.data.total} images`, 'success');
       break;
 
     case 'SCAN_PAGE':
@@ -905,18 +1480,34 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ results: scanResults });
       break;
 
+    case 'HEALTH_CHECK':
+      selectorsReady
+        .then(() => checkSelectorHealth(!!(message.data && message.data.interactive)))
+        .then(report => sendResponse({ success: true, ...report }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true; // Async response
+
     case 'PING':
-      sendResponse({ pong: true });
+      sendResponse({ pong: true, busy: automationState.isRunning });
       break;
-
-    default:
-      sendResponse({ error: 'Unknown action' });
   }
 
-  // Return true to indicate async response
-  return true;
+  return false;
+});
+
+// Follow selector profile edits made in the popup
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[SELECTOR_STORAGE_KEY]) {
+    applySelectorProfile(changes[SELECTOR_STORAGE_KEY].newValue);
+    sendLog(`Selector profile updated: ${selectorProfileName}`, 'info');
+  }
 });
 
+const selectorsReady = loadSelectorProfile();
+
 // Log that content script is loaded
 console.log('[Flow Story Generator] Content script loaded');
 sendLog('Content script initialized', 'info');
+
+// Let the background job resume a scene this page load interrupted
+sendEvent('CONTENT_READY', { loadedAt: Date.now() });
@@ -0,0 +1,453 @@
+/**
+ * Flow Story Generator - In-Page Panel
+ * Floating control panel on the Flow page, so a run can be watched and
+ * controlled without keeping the popup open
+ */
+
+const PANEL_HOST_ID = 'flow-story-panel';
+const PANEL_STORAGE_KEY = 'flowStoryPanel';
+const PANEL_LOG_LINES = 6;
+
+const PANEL_STYLES = `
+  .panel {
+    position: fixed;
+    z-index: 2147483646;
+    width: 300px;
+    background: #fff;
+    border: 1px solid #dadce0;
+    border-radius: 8px;
+    box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25);
+    font-family: 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+    font-size: 12px;
+    color: #202124;
+  }
+  .header {
+    display: flex;
+    align-items: center;
+    gap: 6px;
+    padding: 6px 8px;
+    background: #4285f4;
+    color: #fff;
+    border-radius: 7px 7px 0 0;
+    cursor: move;
+    user-select: none;
+  }
+  .panel.collapsed .header {
+    border-radius: 7px;
+  }
+  .title {
+    flex: 1;
+    font-weight: 600;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .header button {
+    width: 20px;
+    height: 20px;
+    padding: 0;
+    border: none;
+    border-radius: 3px;
+    background: rgba(255, 255, 255, 0.2);
+    color: #fff;
+    font: inherit;
+    line-height: 20px;
+    cursor: pointer;
+  }
+  .body {
+    padding: 8px;
+  }
+  .panel.collapsed .body {
+    display: none;
+  }
+  .scene {
+    margin-bottom: 6px;
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .progress-bar {
+    height: 6px;
+    background: #f1f3f4;
+    border-radius: 3px;
+    overflow: hidden;
+  }
+  .progress-fill {
+    height: 100%;
+    width: 0;
+    background: #34a853;
+    transition: width 0.3s;
+  }
+  .progress-text {
+    display: flex;
+    justify-content: space-between;
+    margin: 4px 0 6px;
+    color: #5f6368;
+  }
+  .log {
+    max-height: 96px;
+    overflow-y: auto;
+    padding: 4px 6px;
+    background: #f8f9fa;
+    border-radius: 4px;
+    font-family: 'Consolas', 'Monaco', monospace;
+    font-size: 11px;
+  }
+  .log div {
+    white-space: nowrap;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  .log .success { color: #1e8e3e; }
+  .log .warning { color: #b06000; }
+  .log .error { color: #d93025; }
+  .log .debug { color: #5f6368; }
+  .actions {
+    display: flex;
+    gap: 6px;
+    margin-top: 8px;
+  }
+  .actions button {
+    flex: 1;
+    padding: 6px 0;
+    border: none;
+    border-radius: 4px;
+    font: inherit;
+    font-weight: 500;
+    cursor: pointer;
+    background: #f1f3f4;
+    color: #202124;
+  }
+  .actions button:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+  .actions .stop {
+    background: #ea4335;
+    color: #fff;
+  }
+`;
+
+const panelState = {
+  job: null,
+  scene: null,
+  logs: [],
+  collapsed: false,
+  position: null,
+  dismissedJobId: null,
+  elements: null
+};
+
+/**
+ * Format a duration for the ETA
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatEta(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return '< 1 min';
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+/**
+ * Estimate the time left from the average duration of finished scenes,
+ * shared between the job's tabs
+ * @param {Object} job - Job summary
+ * @returns {number|null} Milliseconds, or null before any scene finished
+ */
+function estimateRemaining(job) {
+  const durations = job.ledger
+    .filter(entry => (entry.status === 'done' || entry.status === 'failed') && entry.startedAt && entry.endedAt)
+    .map(entry => entry.endedAt - entry.startedAt);
+
+  if (durations.length === 0) return null;
+
+  const average = durations.reduce((sum, duration) => sum + duration, 0) / durations.length;
+  return average * (job.total - job.position) / (job.tabs || 1);
+}
+
+/**
+ * Build the panel (once) and attach it to the page
+ */
+function createPanel() {
+  if (panelState.elements) return panelState.elements;
+
+  const host = document.createElement('div');
+  host.id = PANEL_HOST_ID;
+  // Shadow DOM keeps Flow's styles out of the panel and ours out of Flow
+  const root = host.attachShadow({ mode: 'open' });
+
+  const style = document.createElement('style');
+  style.textContent = PANEL_STYLES;
+
+  const panel = document.createElement('div');
+  panel.className = 'panel';
+  panel.innerHTML = `
+    <div class="header">
+      <span class="title">Flow Story Generator</span>
+      <button class="collapse" title="Collapse"></button>
+      <button class="close" title="Hide until the next run">&times;</button>
+    </div>
+    <div class="body">
+      <div class="scene"></div>
+      <div class="progress-bar"><div class="progress-fill"></div></div>
+      <div class="progress-text"><span class="count"></span><span class="eta"></span></div>
+      <div class="log"></div>
+      <div class="actions">
+        <button class="pause">Pause</button>
+        <button class="skip">Skip</button>
+        <button class="stop">Stop</button>
+      </div>
+    </div>
+  `;
+
+  root.append(style, panel);
+  document.body.appendChild(host);
+
+  const elements = {
+    host,
+    panel,
+    header: panel.querySelector('.header'),
+    title: panel.querySelector('.title'),
+    collapse: panel.querySelector('.collapse'),
+    close: panel.querySelector('.close'),
+    scene: panel.querySelector('.scene'),
+    fill: panel.querySelector('.progress-fill'),
+    count: panel.querySelector('.count'),
+    eta: panel.querySelector('.eta'),
+    log: panel.querySelector('.log'),
+    pause: panel.querySelector('.pause'),
+    skip: panel.querySelector('.skip'),
+    stop: panel.querySelector('.stop')
+  };
+  panelState.elements = elements;
+
+  // Same commands the popup sends
+  elements.pause.addEventListener('click', () => {
+    const paused = panelState.job && panelState.job.status === 'paused';
+    sendPanelCommand(paused ? 'RESUME_GENERATION' : 'PAUSE_GENERATION');
+  });
+  elements.skip.addEventListener('click', () => sendPanelCommand('SKIP_SCENE'));
+  elements.stop.addEventListener('click', () => sendPanelCommand('STOP_GENERATION'));
+
+  elements.collapse.addEventListener('click', () => {
+    panelState.collapsed = !panelState.collapsed;
+    savePanelSettings();
+    renderPanel();
+  });
+
+  elements.close.addEventListener('click', () => {
+    panelState.dismissedJobId = panelState.job ? panelState.job.id : null;
+    renderPanel();
+  });
+
+  makePanelDraggable(elements);
+  return elements;
+}
+
+/**
+ * Let the panel be moved by its header; the position is remembered
+ */
+function makePanelDraggable(elements) {
+  elements.header.addEventListener('mousedown', (e) => {
+    if (e.target.closest('button')) return;
+    e.preventDefault();
+
+    const rect = elements.panel.getBoundingClientRect();
+    const offsetX = e.clientX - rect.left;
+    const offsetY = e.clientY - rect.top;
+
+    const onMove = (moveEvent) => {
+      panelState.position = {
+        x: Math.min(Math.max(0, moveEvent.clientX - offsetX), window.innerWidth - rect.width),
+        y: Math.min(Math.max(0, moveEvent.clientY - offsetY), window.innerHeight - 30)
+      };
+      applyPanelPosition(elements);
+    };
+
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      savePanelSettings();
+    };
+
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  });
+}
+
+/**
+ * Place the panel at its saved position, or the bottom right corner
+ */
+function applyPanelPosition(elements) {
+  const style = elements.panel.style;
+  if (panelState.position) {
+    style.left = `${panelState.position.x}px`;
+    style.top = `${panelState.position.y}px`;
+    style.right = 'auto';
+    style.bottom = 'auto';
+  } else {
+    style.right = '16px';
+    style.bottom = '16px';
+  }
+}
+
+/**
+ * Remember the panel position and collapsed state
+ */
+function savePanelSettings() {
+  chrome.storage.local.set({
+    [PANEL_STORAGE_KEY]: { position: panelState.position, collapsed: panelState.collapsed }
+  });
+}
+
+/**
+ * Send a job command to the background service worker
+ * @param {string} action - PAUSE_GENERATION | RESUME_GENERATION | STOP_GENERATION | SKIP_SCENE
+ */
+async function sendPanelCommand(action) {
+  try {
+    const response = await sendMessage(action);
+    if (response && response.success === false) {
+      addPanelLog(response.error, 'error');
+    }
+  } catch (error) {
+    addPanelLog(`Extension not reachable: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Show the panel for a job and refresh its contents
+ */
+function renderPanel() {
+  const job = panelState.job;
+  const active = job && (job.status === 'running' || job.status === 'paused');
+  const visible = job && job.id !== panelState.dismissedJobId;
+
+  if (!visible) {
+    if (panelState.elements) panelState.elements.host.style.display = 'none';
+    return;
+  }
+
+  const elements = createPanel();
+  elements.host.style.display = '';
+  applyPanelPosition(elements);
+
+  elements.panel.classList.toggle('collapsed', panelState.collapsed);
+  elements.collapse.textContent = panelState.collapsed ? '+' : '–';
+  elements.collapse.title = panelState.collapsed ? 'Expand' : 'Collapse';
+
+  const percentage = job.total > 0 ? (job.position / job.total) * 100 : 0;
+  elements.fill.style.width = `${percentage}%`;
+  elements.count.textContent = `${job.position}/${job.total} scenes`;
+
+  let statusLabel = job.status;
+  if (job.review !== null && job.status === 'running') statusLabel = 'waiting for review';
+  elements.title.textContent = `Flow Story Generator – ${statusLabel}`;
+
+  const remaining = active ? estimateRemaining(job) : null;
+  elements.eta.textContent = remaining !== null ? `ETA ${formatEta(remaining)}` : '';
+
+  const scene = panelState.scene;
+  if (active && scene) {
+    const label = scene.title ? `${scene.title}: ` : '';
+    elements.scene.textContent = `Scene ${scene.sceneNumber} - ${label}${scene.prompt}`;
+    elements.scene.title = scene.prompt;
+  } else {
+    elements.scene.textContent = active ? 'Starting...' : `Run ${job.status}`;
+    elements.scene.title = '';
+  }
+
+  elements.pause.textContent = job.status === 'paused' ? 'Resume' : 'Pause';
+  elements.pause.disabled = !active;
+  elements.skip.disabled = !active;
+  elements.stop.disabled = !active;
+
+  renderPanelLog();
+}
+
+/**
+ * Show the last log lines
+ */
+function renderPanelLog() {
+  if (!panelState.elements) return;
+
+  const log = panelState.elements.log;
+  log.innerHTML = '';
+  panelState.logs.forEach(({ message, type, time }) => {
+    const line = document.createElement('div');
+    line.className = type;
+    line.textContent = `[${time}] ${message}`;
+    line.title = message;
+    log.appendChild(line);
+  });
+  log.scrollTop = log.scrollHeight;
+}
+
+/**
+ * Add a line to the panel's log tail
+ */
+function addPanelLog(message, type = 'info') {
+  panelState.logs.push({ message, type, time: new Date().toLocaleTimeString() });
+  if (panelState.logs.length > PANEL_LOG_LINES) {
+    panelState.logs.shift();
+  }
+  renderPanelLog();
+}
+
+/**
+ * Update the panel from a job status broadcast
+ * @param {Object|null} job - Job summary
+ */
+function updatePanelJob(job) {
+  if (!job) return;
+
+  // A new run brings back a dismissed panel
+  if (panelState.job && panelState.job.id !== job.id) {
+    panelState.dismissedJobId = null;
+  }
+
+  panelState.job = job;
+
+  if (job.currentIndex !== null && job.currentIndex !== undefined) {
+    const scene = job.scenes[job.currentIndex];
+    panelState.scene = { ...scene, sceneNumber: job.currentIndex + 1 };
+  }
+
+  renderPanel();
+}
+
+/**
+ * Update the current scene from a progress broadcast
+ * @param {Object} data - { current, total, sceneNumber, title, prompt }
+ */
+function updatePanelProgress(data) {
+  panelState.scene = { sceneNumber: data.sceneNumber, title: data.title, prompt: data.prompt };
+  if (panelState.job) {
+    panelState.job = { ...panelState.job, position: data.current };
+  }
+  renderPanel();
+}
+
+/**
+ * Restore the panel settings and show the panel if a run is in progress
+ */
+async function initPanel() {
+  const result = await chrome.storage.local.get(PANEL_STORAGE_KEY);
+  const saved = result[PANEL_STORAGE_KEY];
+  if (saved) {
+    panelState.position = saved.position || null;
+    panelState.collapsed = !!saved.collapsed;
+  }
+
+  const response = await sendMessage('GET_JOB_STATUS');
+  const job = response && response.job;
+  if (job && (job.status === 'running' || job.status === 'paused')) {
+    updatePanelJob(job);
+  }
+}
+
+initPanel().catch(() => {
+  // Extension was reloaded, nothing to show
+});
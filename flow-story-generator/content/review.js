@@ -0,0 +1,280 @@
+/**
+ * Flow Story Generator - Review Overlay
+ * Shows a generated scene's variants next to the previous frame and sends
+ * the reviewer's decision back to the background job (review mode)
+ */
+
+const REVIEW_HOST_ID = 'flow-story-review';
+
+const REVIEW_STYLES = `
+  .backdrop {
+    position: fixed;
+    inset: 0;
+    z-index: 2147483647;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    background: rgba(0, 0, 0, 0.7);
+    font-family: 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+    font-size: 13px;
+    color: #202124;
+  }
+  .dialog {
+    width: min(900px, 92vw);
+    max-height: 92vh;
+    overflow: auto;
+    background: #fff;
+    border-radius: 8px;
+    padding: 16px;
+    box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+  }
+  h2 {
+    margin: 0 0 12px;
+    font-size: 16px;
+  }
+  .frames {
+    display: flex;
+    gap: 16px;
+    align-items: flex-start;
+  }
+  .column h3 {
+    margin: 0 0 6px;
+    font-size: 12px;
+    color: #5f6368;
+    text-transform: uppercase;
+  }
+  .previous {
+    flex: 0 0 200px;
+  }
+  .previous img {
+    display: block;
+    width: 200px;
+    margin-bottom: 8px;
+    border-radius: 4px;
+  }
+  .placeholder {
+    width: 200px;
+    padding: 40px 0;
+    text-align: center;
+    background: #f1f3f4;
+    border-radius: 4px;
+    color: #5f6368;
+  }
+  .variants {
+    flex: 1;
+  }
+  .variant-grid {
+    display: grid;
+    grid-template-columns: repeat(auto-fill, minmax(160px, 1fr));
+    gap: 8px;
+  }
+  .variant {
+    position: relative;
+    padding: 0;
+    border: 3px solid transparent;
+    border-radius: 6px;
+    background: none;
+    cursor: pointer;
+  }
+  .variant img {
+    display: block;
+    width: 100%;
+    border-radius: 3px;
+  }
+  .variant.selected {
+    border-color: #1a73e8;
+  }
+  .variant span {
+    position: absolute;
+    top: 4px;
+    left: 4px;
+    padding: 1px 6px;
+    border-radius: 3px;
+    background: rgba(0, 0, 0, 0.6);
+    color: #fff;
+    font-size: 11px;
+  }
+  textarea {
+    width: 100%;
+    box-sizing: border-box;
+    margin-top: 12px;
+    padding: 8px;
+    border: 1px solid #dadce0;
+    border-radius: 4px;
+    font: inherit;
+    resize: vertical;
+  }
+  .actions {
+    display: flex;
+    gap: 8px;
+    justify-content: flex-end;
+    margin-top: 12px;
+  }
+  button.action {
+    padding: 8px 14px;
+    border: none;
+    border-radius: 4px;
+    font: inherit;
+    font-weight: 500;
+    cursor: pointer;
+    background: #f1f3f4;
+    color: #202124;
+  }
+  button.action:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+  button.approve {
+    background: #1e8e3e;
+    color: #fff;
+  }
+  .error {
+    margin-top: 8px;
+    color: #d93025;
+  }
+`;
+
+/**
+ * Create an element with a class and optional text
+ */
+function reviewElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Remove the review overlay if it is shown
+ */
+function hideReview() {
+  document.getElementById(REVIEW_HOST_ID)?.remove();
+}
+
+/**
+ * Show the review overlay for a generated scene
+ * @param {Object} data - { jobId, index, total, title, prompt, images: [{ id, url }], selected, previousImageUrls }
+ */
+function showReview(data) {
+  hideReview();
+
+  let selected = data.selected;
+
+  const host = document.createElement('div');
+  host.id = REVIEW_HOST_ID;
+  // Shadow DOM keeps Flow's styles out of the overlay and ours out of Flow
+  const root = host.attachShadow({ mode: 'open' });
+
+  const style = document.createElement('style');
+  style.textContent = REVIEW_STYLES;
+
+  const backdrop = reviewElement('div', 'backdrop');
+  const dialog = reviewElement('div', 'dialog');
+  const heading = `Review scene ${data.index + 1}/${data.total}${data.title ? `: ${data.title}` : ''}`;
+  dialog.appendChild(reviewElement('h2', null, heading));
+
+  // The frames the scene continues from and the new variants side by side
+  const frames = reviewElement('div', 'frames');
+  const previousUrls = data.previousImageUrls || [];
+
+  const previous = reviewElement('div', 'column previous');
+  previous.appendChild(reviewElement('h3', null, previousUrls.length > 1 ? 'Previous frames' : 'Previous frame'));
+  if (previousUrls.length > 0) {
+    previousUrls.forEach(url => {
+      const img = document.createElement('img');
+      img.src = url;
+      img.alt = 'Previous frame';
+      previous.appendChild(img);
+    });
+  } else {
+    previous.appendChild(reviewElement('div', 'placeholder', 'Not chained'));
+  }
+
+  const variants = reviewElement('div', 'column variants');
+  variants.appendChild(reviewElement('h3', null, `New variants (${data.images.length})`));
+  const grid = reviewElement('div', 'variant-grid');
+  const variantButtons = data.images.map((image, i) => {
+    const button = reviewElement('button', `variant${i === selected ? ' selected' : ''}`);
+    button.type = 'button';
+    button.title = 'Use this variant for the scenes that continue from this one';
+
+    const img = document.createElement('img');
+    img.src = image.url;
+    img.alt = `Variant ${i + 1}`;
+    button.append(img, reviewElement('span', null, String(i + 1)));
+
+    button.addEventListener('click', () => {
+      selected = i;
+      variantButtons.forEach((other, j) => other.classList.toggle('selected', j === i));
+    });
+
+    grid.appendChild(button);
+    return button;
+  });
+  variants.appendChild(grid);
+
+  frames.append(previous, variants);
+  dialog.appendChild(frames);
+
+  // Prompt, editable for "Edit & Regenerate"
+  const promptInput = document.createElement('textarea');
+  promptInput.rows = 3;
+  promptInput.value = data.prompt;
+  dialog.appendChild(promptInput);
+
+  const error = reviewElement('div', 'error');
+  error.hidden = true;
+
+  const actions = reviewElement('div', 'actions');
+  const buttons = {
+    skip: reviewElement('button', 'action', 'Skip'),
+    regenerate: reviewElement('button', 'action', 'Regenerate'),
+    edit: reviewElement('button', 'action', 'Edit & Regenerate'),
+    approve: reviewElement('button', 'action approve', 'Approve')
+  };
+  buttons.edit.disabled = true;
+
+  promptInput.addEventListener('input', () => {
+    buttons.edit.disabled = promptInput.value.trim() === data.prompt || !promptInput.value.trim();
+  });
+
+  const decide = async (decision) => {
+    Object.values(buttons).forEach(button => { button.disabled = true; });
+    error.hidden = true;
+
+    let response = null;
+    try {
+      response = await sendMessage('REVIEW_DECISION', {
+        jobId: data.jobId,
+        index: data.index,
+        decision,
+        variant: selected,
+        prompt: promptInput.value
+      });
+    } catch (e) {
+      response = { success: false, error: e.message };
+    }
+
+    if (response && response.success) {
+      hideReview();
+      return;
+    }
+
+    error.textContent = (response && response.error) || 'No response from the extension';
+    error.hidden = false;
+    Object.entries(buttons).forEach(([name, button]) => {
+      button.disabled = name === 'edit' && promptInput.value.trim() === data.prompt;
+    });
+  };
+
+  Object.entries(buttons).forEach(([decision, button]) => {
+    button.type = 'button';
+    button.addEventListener('click', () => decide(decision));
+    actions.appendChild(button);
+  });
+
+  dialog.append(error, actions);
+  backdrop.appendChild(dialog);
+  root.append(style, backdrop);
+  document.body.appendChild(host);
+}
@@ -0,0 +1,293 @@
+/**
+ * Flow Story Generator - Run History
+ * Lists finished runs with their storyboard, settings, characters and
+ * thumbnails, and downloads, exports or runs them again
+ */
+
+const elements = {
+  message: document.getElementById('message'),
+  empty: document.getElementById('empty'),
+  runList: document.getElementById('run-list')
+};
+
+// Object URLs of the thumbnails shown, released on every render
+let thumbnailUrls = [];
+
+/**
+ * Initialize the history page
+ */
+async function init() {
+  await renderHistory();
+
+  listenForMessages('page', ['HISTORY_UPDATED', 'DOWNLOAD_COMPLETE'], (message) => {
+    switch (message.action) {
+      case 'HISTORY_UPDATED':
+        renderHistory();
+        break;
+
+      case 'DOWNLOAD_COMPLETE':
+        showMessage(`All ${message.data.total} images downloaded`, 'success');
+        break;
+    }
+  });
+  sendEvent('PAGE_READY');
+}
+
+/**
+ * Send message to background script
+ * @param {Object} message - { action, data }
+ * @returns {Promise<Object|null>} Answer, or null when it could not be sent
+ */
+async function sendToBackground(message) {
+  try {
+    return await sendMessage(message.action, message.data);
+  } catch (error) {
+    showMessage(`Communication error: ${error.message}`, 'error');
+    return null;
+  }
+}
+
+/**
+ * Show a status line above the list
+ * @param {string} text - Message
+ * @param {string} type - 'info' | 'success' | 'error'
+ */
+function showMessage(text, type = 'info') {
+  elements.message.textContent = text;
+  elements.message.className = `message ${type}`;
+  elements.message.hidden = false;
+}
+
+/**
+ * Download options as last set in the popup
+ * @returns {Promise<Object>} { template, subfolder, alternates, delay }
+ */
+async function getDownloadOptions() {
+  const result = await chrome.storage.local.get('flowStoryState');
+  const saved = result.flowStoryState || {};
+
+  return {
+    template: saved.filenameTemplate || undefined,
+    subfolder: saved.downloadSubfolder !== false,
+    alternates: saved.downloadAlternates !== false,
+    delay: (saved.settings && saved.settings.downloadDelay) || 500
+  };
+}
+
+/**
+ * Create an element with a class and optional text
+ */
+function historyElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Show a stored image, falling back to its Flow URL (which may have expired)
+ * @param {HTMLImageElement} img - Image element
+ * @param {Object} image - { url, assetKey }
+ */
+async function loadThumbnail(img, image) {
+  if (image.assetKey) {
+    try {
+      const asset = await getAsset(image.assetKey);
+      if (asset) {
+        const url = URL.createObjectURL(asset.blob);
+        thumbnailUrls.push(url);
+        img.src = url;
+        return;
+      }
+    } catch (error) {
+      console.error('[Flow Story Generator] Could not load stored image:', error);
+    }
+  }
+  img.src = image.url;
+}
+
+/**
+ * Load and render every archived run
+ */
+async function renderHistory() {
+  const response = await sendToBackground({ action: 'GET_HISTORY' });
+  const runs = (response && response.runs) || [];
+
+  thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+  thumbnailUrls = [];
+
+  elements.runList.innerHTML = '';
+  elements.empty.hidden = runs.length > 0;
+  runs.forEach(run => elements.runList.appendChild(renderRun(run)));
+}
+
+/**
+ * Build the card of one run
+ * @param {Object} run - Run summary from the background service worker
+ * @returns {HTMLElement}
+ */
+function renderRun(run) {
+  const card = historyElement('article', 'run');
+
+  const header = historyElement('div', 'run-header');
+  header.append(
+    historyElement('span', 'run-name', run.name || run.id),
+    historyElement('span', `run-status ${run.status}`, run.status)
+  );
+  card.appendChild(header);
+
+  const { done, failed, skipped, pending } = run.counts;
+  const counts = [`${done} done`, `${failed} failed`];
+  if (skipped) counts.push(`${skipped} skipped`);
+  if (pending) counts.push(`${pending} not run`);
+  card.appendChild(historyElement('div', 'run-meta',
+    `${new Date(run.createdAt).toLocaleString()} · ${run.scenes.length} scenes: ${counts.join(', ')}${run.reason ? ` · ${run.reason}` : ''}`));
+
+  const settings = run.settings;
+  const summary = [
+    `Timeout ${settings.timeout / 1000}s`,
+    `delay ${settings.delay} ms`,
+    `${settings.retries} retries`,
+    `${settings.tabs || 1} tab(s)`,
+    `${settings.chainStrategy || 'first'} variant continues`,
+    settings.reviewMode ? 'review mode' : null,
+    settings.dryRun ? 'dry run' : null
+  ].filter(part => part).join(', ');
+  card.appendChild(historyElement('div', 'run-meta', run.preset ? `Preset "${run.preset}": ${summary}` : summary));
+
+  const project = historyElement('div', 'run-meta', 'Project: ');
+  const link = historyElement('a', null, run.tabUrl);
+  link.href = run.tabUrl;
+  link.target = '_blank';
+  project.appendChild(link);
+  card.appendChild(project);
+
+  if (run.characters.length > 0) {
+    const characters = historyElement('div', 'run-characters');
+    run.characters.forEach(character => {
+      const item = historyElement('span', 'run-character', `@${character.name}`);
+      character.images.forEach(src => {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = character.name;
+        item.appendChild(img);
+      });
+      characters.appendChild(item);
+    });
+    card.appendChild(characters);
+  }
+
+  const thumbs = historyElement('div', 'run-thumbs');
+  run.scenes.forEach((scene, index) => {
+    const thumb = historyElement('div', `run-thumb ${scene.status}`);
+    thumb.title = `Scene ${index + 1}${scene.title ? ` (${scene.title})` : ''}: ${scene.status}\n${scene.prompt}`;
+
+    if (scene.image) {
+      const img = document.createElement('img');
+      img.alt = `Scene ${index + 1}`;
+      img.loading = 'lazy';
+      loadThumbnail(img, scene.image);
+      thumb.appendChild(img);
+    } else {
+      thumb.appendChild(document.createTextNode(scene.status));
+    }
+    thumb.appendChild(historyElement('span', null, String(index + 1)));
+    thumbs.appendChild(thumb);
+  });
+  card.appendChild(thumbs);
+
+  const actions = historyElement('div', 'run-actions');
+  const buttons = {
+    download: historyElement('button', 'primary', 'Download Images'),
+    zip: historyElement('button', null, 'Download as ZIP'),
+    clone: historyElement('button', null, 'Run Again'),
+    remove: historyElement('button', 'danger', 'Delete')
+  };
+  buttons.download.disabled = done === 0;
+  buttons.zip.disabled = done === 0;
+  buttons.clone.title = 'Queue a new run of all scenes with the same characters and settings';
+
+  buttons.download.addEventListener('click', () => downloadRun(run));
+  buttons.zip.addEventListener('click', () => exportRun(run, buttons.zip));
+  buttons.clone.addEventListener('click', () => cloneRun(run));
+  buttons.remove.addEventListener('click', () => deleteRun(run));
+
+  actions.append(...Object.values(buttons));
+  card.appendChild(actions);
+
+  return card;
+}
+
+/**
+ * Download the images of a run again
+ * @param {Object} run - Run summary
+ */
+async function downloadRun(run) {
+  const response = await sendToBackground({
+    action: 'DOWNLOAD_RUN',
+    data: { ...(await getDownloadOptions()), runId: run.id }
+  });
+
+  if (!response || !response.success) {
+    showMessage((response && response.error) || 'No images found to download', 'error');
+    return;
+  }
+  showMessage(`Downloading ${response.total} images of ${run.name || run.id}...`);
+}
+
+/**
+ * Export a run as a ZIP again
+ * @param {Object} run - Run summary
+ * @param {HTMLButtonElement} button - Button to disable while exporting
+ */
+async function exportRun(run, button) {
+  button.disabled = true;
+  showMessage('Preparing ZIP export...');
+
+  const options = await getDownloadOptions();
+  const response = await sendToBackground({
+    action: 'EXPORT_ZIP',
+    data: { runId: run.id, template: options.template, alternates: options.alternates }
+  });
+
+  button.disabled = false;
+
+  if (!response || !response.success) {
+    showMessage(`ZIP export failed: ${(response && response.error) || 'no response'}`, 'error');
+    return;
+  }
+  showMessage(`Saved ${response.filename} (${response.total} images)`, 'success');
+}
+
+/**
+ * Queue a new run with the storyboard, characters and settings of a run
+ * @param {Object} run - Run summary
+ */
+async function cloneRun(run) {
+  const response = await sendToBackground({
+    action: 'CLONE_RUN',
+    data: { runId: run.id, download: await getDownloadOptions() }
+  });
+
+  if (!response || !response.success) {
+    showMessage(`Could not queue the run: ${(response && response.error) || 'no response'}`, 'error');
+    return;
+  }
+  showMessage(`Queued a copy of ${run.name || run.id}; it starts when nothing else is running`, 'success');
+}
+
+/**
+ * Remove a run and its stored images from the history
+ * @param {Object} run - Run summary
+ */
+async function deleteRun(run) {
+  if (!confirm(`Delete ${run.name || run.id} and its stored images from the history?`)) return;
+
+  const response = await sendToBackground({ action: 'DELETE_RUN', data: { runId: run.id } });
+  if (!response || !response.success) {
+    showMessage((response && response.error) || 'Could not delete the run', 'error');
+  }
+}
+
+// Initialize on load
+document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,57 @@
+/**
+ * Flow Story Generator - Activity Log
+ * Levels, filtering and text export of the log entries the background
+ * service worker keeps for each run
+ */
+
+// Lowest first; a filter level shows that level and the ones after it
+const LOG_LEVELS = ['debug', 'info', 'warning', 'error'];
+
+// Log id of the entries made before the first run
+const LOG_NO_RUN = 'none';
+
+/**
+ * Level of a log message type. 'success' is shown in its own color but
+ * counts as info.
+ * @param {string} type - 'debug' | 'info' | 'success' | 'warning' | 'error'
+ * @returns {string}
+ */
+function logLevel(type) {
+  return LOG_LEVELS.includes(type) ? type : 'info';
+}
+
+/**
+ * Scene and attempt an entry was logged for, e.g. "scene 3, attempt 2"
+ * @param {Object} entry - Log entry
+ * @returns {string} Empty when the entry belongs to no scene
+ */
+function logEntryTag(entry) {
+  if (!entry.scene) return '';
+  return entry.attempt ? `scene ${entry.scene}, attempt ${entry.attempt}` : `scene ${entry.scene}`;
+}
+
+/**
+ * One line of the text export
+ * @param {Object} entry - { time, level, message, scene, attempt, source }
+ * @returns {string}
+ */
+function formatLogEntry(entry) {
+  const tag = logEntryTag(entry);
+  return `${new Date(entry.time).toISOString()} ${entry.level.toUpperCase().padEnd(7)} ${entry.source.padEnd(10)} ${tag ? `[${tag}] ` : ''}${entry.message}`;
+}
+
+/**
+ * Check an entry against the popup's filter
+ * @param {Object} entry - Log entry
+ * @param {string} minLevel - Lowest level shown
+ * @param {string} search - Text to look for (case-insensitive), in the
+ *   message or the scene tag
+ * @returns {boolean}
+ */
+function matchesLogFilter(entry, minLevel, search) {
+  if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(minLevel)) return false;
+  if (!search) return true;
+
+  const needle = search.toLowerCase();
+  return entry.message.toLowerCase().includes(needle) || logEntryTag(entry).includes(needle);
+}
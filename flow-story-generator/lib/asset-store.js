@@ -0,0 +1,119 @@
+/**
+ * Flow Story Generator - Asset Store
+ * IndexedDB store for images captured right after generation, keyed by
+ * run and scene, so downloads don't depend on Flow's expiring URLs
+ */
+
+const ASSET_DB_NAME = 'flowStoryAssets';
+const ASSET_DB_VERSION = 1;
+const ASSET_STORE = 'assets';
+
+let assetDbPromise = null;
+
+/**
+ * Open (and create on first use) the asset database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openAssetDb() {
+  if (assetDbPromise) return assetDbPromise;
+
+  assetDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(ASSET_DB_NAME, ASSET_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(ASSET_STORE)) {
+        const store = db.createObjectStore(ASSET_STORE, { keyPath: 'key' });
+        store.createIndex('runId', 'runId', { unique: false });
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      assetDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return assetDbPromise;
+}
+
+/**
+ * Run a request against the asset store
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} fn - (store) => IDBRequest
+ * @returns {Promise<*>} The request result
+ */
+async function assetRequest(mode, fn) {
+  const db = await openAssetDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(ASSET_STORE, mode);
+    const request = fn(tx.objectStore(ASSET_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Key of a captured image
+ * @param {string} runId - Job id
+ * @param {number} sceneIndex - Scene index
+ * @param {string} imageId - Image id from the ledger
+ * @returns {string}
+ */
+function assetKey(runId, sceneIndex, imageId) {
+  return `${runId}/${sceneIndex}/${imageId}`;
+}
+
+/**
+ * Store a captured image
+ * @param {Object} asset - { key, runId, sceneIndex, sceneId, imageId, blob, type, size, capturedAt }
+ */
+function putAsset(asset) {
+  return assetRequest('readwrite', store => store.put(asset));
+}
+
+/**
+ * Get a captured image
+ * @param {string} key - Asset key
+ * @returns {Promise<Object|undefined>}
+ */
+function getAsset(key) {
+  return assetRequest('readonly', store => store.get(key));
+}
+
+/**
+ * Delete every captured image whose key is not in the given set
+ * @param {Set<string>} keepKeys - Keys to keep
+ * @returns {Promise<number>} Number of deleted images
+ */
+async function pruneAssets(keepKeys) {
+  const keys = await assetRequest('readonly', store => store.getAllKeys());
+  const stale = keys.filter(key => !keepKeys.has(key));
+
+  if (stale.length > 0) {
+    await assetRequest('readwrite', store => {
+      stale.forEach(key => store.delete(key));
+      return store.count();
+    });
+  }
+
+  return stale.length;
+}
+
+/**
+ * Convert a blob to a data URL (chrome.downloads can't use blob URLs from
+ * a service worker)
+ * @param {Blob} blob - Image data
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
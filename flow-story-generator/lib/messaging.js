@@ -0,0 +1,411 @@
+/**
+ * Flow Story Generator - Messaging
+ * The message types the popup, history page, content script and background
+ * service worker exchange, and the helpers every context sends and
+ * receives them with. A message is an envelope
+ * { protocol, id, action, to, data }; its answer is
+ * { protocol, replyTo, data } or { protocol, replyTo, error }.
+ */
+
+// Bumped when a message type changes shape
+const MESSAGE_PROTOCOL_VERSION = 1;
+
+const MESSAGE_TIMEOUT_MS = 15000;
+// Wait between tries when nothing is listening yet
+const MESSAGE_RETRY_MS = 1000;
+
+// Retained events that found no page to take them, kept in
+// chrome.storage.session until a page says PAGE_READY
+const MESSAGE_OUTBOX_KEY = 'flowStoryOutbox';
+const MESSAGE_RETAIN_MS = 30 * 60 * 1000;
+
+/**
+ * Every message type.
+ *   to: contexts that receive it - 'background', 'content' (the Flow page)
+ *     or 'page' (popup and history page)
+ *   data: field -> 'string' | 'number' | 'boolean' | 'object' | 'array' |
+ *     'any', with a trailing '?' for optional fields; null for no data
+ *   event: answered by the receiver with an acknowledgement only
+ *   retain: an event the popup must not miss; kept until it can take it
+ *   timeout: milliseconds to wait for the answer, when not the default
+ */
+const MESSAGE_TYPES = {
+  // Popup and in-page panel -> background
+  START_GENERATION: {
+    to: ['background'],
+    data: { tabId: 'number', tabUrl: 'string', scenes: 'array', characters: 'array?', settings: 'object', preset: 'string?', range: 'object?' },
+    timeout: 60000
+  },
+  ENQUEUE_GENERATION: {
+    to: ['background'],
+    data: { tabUrl: 'string', scenes: 'array', characters: 'array?', settings: 'object', preset: 'string?', range: 'object?', name: 'string?', startAt: 'number?', download: 'object?' }
+  },
+  PAUSE_GENERATION: { to: ['background'], data: null },
+  RESUME_GENERATION: { to: ['background'], data: null },
+  STOP_GENERATION: { to: ['background', 'content'], data: null },
+  RERUN_FAILED: { to: ['background'], data: null },
+  SKIP_SCENE: { to: ['background'], data: null },
+  GET_JOB_STATUS: { to: ['background'], data: null },
+  GET_USAGE: { to: ['background'], data: null },
+  GET_QUEUE: { to: ['background'], data: null },
+  MOVE_QUEUED: { to: ['background'], data: { id: 'string', offset: 'number' } },
+  CANCEL_QUEUED: { to: ['background'], data: { id: 'string' } },
+  START_QUEUE: { to: ['background'], data: null, timeout: 60000 },
+  DOWNLOAD_RUN: {
+    to: ['background'],
+    data: { runId: 'string?', template: 'string?', subfolder: 'boolean?', alternates: 'boolean?', delay: 'number?' }
+  },
+  EXPORT_ZIP: {
+    to: ['background'],
+    data: { runId: 'string?', template: 'string?', alternates: 'boolean?' },
+    timeout: 5 * 60 * 1000
+  },
+  DOWNLOAD_SINGLE: { to: ['background'], data: { url: 'string', filename: 'string?' } },
+  GET_DOWNLOAD_STATUS: { to: ['background'], data: null },
+  GET_LOGS: { to: ['background'], data: { logId: 'string?' } },
+  CLEAR_LOGS: { to: ['background'], data: { logId: 'string' } },
+  GET_HISTORY: { to: ['background'], data: null },
+  CLONE_RUN: { to: ['background'], data: { runId: 'string', download: 'object?' } },
+  DELETE_RUN: { to: ['background'], data: { runId: 'string' } },
+  PAGE_READY: { to: ['background'], data: null, event: true },
+
+  // Content script -> background
+  SCENE_RESULT: {
+    to: ['background'],
+    data: {
+      jobId: 'string', index: 'number', success: 'boolean', attempts: 'number', generations: 'number',
+      images: 'array?', references: 'array?', failure: 'object?', dryRun: 'boolean?'
+    },
+    event: true
+  },
+  REVIEW_DECISION: {
+    to: ['background'],
+    data: { jobId: 'string', index: 'number', decision: 'string', variant: 'number?', prompt: 'string?' }
+  },
+  CONTENT_READY: { to: ['background'], data: { loadedAt: 'number' }, event: true },
+  // To the background from the popup and content script; from it to the
+  // in-page panel
+  LOG: {
+    to: ['background', 'content', 'page'],
+    data: { message: 'string', type: 'string?', scene: 'number?', attempt: 'number?' },
+    event: true
+  },
+
+  // Background and popup -> content script
+  RUN_SCENE: {
+    to: ['content'],
+    data: { jobId: 'string', index: 'number', scene: 'object', chainImages: 'array', characters: 'array', settings: 'object', maxAttempts: 'number' }
+  },
+  SHOW_REVIEW: {
+    to: ['content'],
+    data: { jobId: 'string', index: 'number', total: 'number', prompt: 'string', images: 'array', selected: 'number', previousImageUrls: 'array' }
+  },
+  HIDE_REVIEW: { to: ['content'], data: null },
+  SCAN_PAGE: { to: ['content'], data: null },
+  HEALTH_CHECK: { to: ['content'], data: { interactive: 'boolean?' }, timeout: 60000 },
+  PING: { to: ['content'], data: null, timeout: 3000 },
+
+  // Background -> popup, history page and in-page panel
+  JOB_STATUS: { to: ['page', 'content'], data: 'any', event: true },
+  PROGRESS_UPDATE: {
+    to: ['page', 'content'],
+    data: { current: 'number', total: 'number', sceneNumber: 'number', prompt: 'string' },
+    event: true,
+    retain: true
+  },
+  GENERATION_ERROR: { to: ['page', 'content'], data: { error: 'string', fatal: 'boolean?' }, event: true },
+  GENERATION_COMPLETE: { to: ['page', 'content'], data: { total: 'number', images: 'array' }, event: true, retain: true },
+  QUEUE_STATUS: { to: ['page'], data: 'array', event: true },
+  LOG_EVENT: { to: ['page'], data: { id: 'string', time: 'number', level: 'string', message: 'string' }, event: true },
+  DOWNLOAD_PROGRESS: { to: ['page'], data: { current: 'number', total: 'number' }, event: true },
+  DOWNLOAD_COMPLETE: { to: ['page'], data: { total: 'number' }, event: true },
+  HISTORY_UPDATED: { to: ['page'], data: null, event: true }
+};
+
+let messageCounter = 0;
+let outboxLock = Promise.resolve();
+
+/**
+ * Error of a message that could not be sent or was refused
+ * @param {string} code - 'invalid' | 'no-receiver' | 'timeout' | 'rejected' | 'failed'
+ * @param {string} text - Message
+ * @returns {Error} With a code property
+ */
+function messageError(code, text) {
+  const error = new Error(text);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Whether sending failed because no listener took the message: the page
+ * has no content script, the popup is closed, or nobody answered
+ */
+function isNoReceiverError(error) {
+  return /Receiving end does not exist|Could not establish connection|message port closed/i.test(error && error.message);
+}
+
+/**
+ * Check a value against a field type
+ * @param {*} value - Value
+ * @param {string} type - Field type, optionally ending in '?'
+ * @returns {boolean}
+ */
+function matchesFieldType(value, type) {
+  const optional = type.endsWith('?');
+  const base = optional ? type.slice(0, -1) : type;
+
+  if (value === undefined || value === null) return optional || base === 'any';
+  if (base === 'any') return true;
+  if (base === 'array') return Array.isArray(value);
+  if (base === 'object') return typeof value === 'object' && !Array.isArray(value);
+  return typeof value === base;
+}
+
+/**
+ * Check the data of a message against its type
+ * @param {string} action - Message type
+ * @param {*} data - Payload
+ * @returns {string|null} What is wrong, or null
+ */
+function checkMessageData(action, data) {
+  const schema = MESSAGE_TYPES[action].data;
+
+  if (schema === null) return null;
+  if (typeof schema === 'string') {
+    return matchesFieldType(data, schema) ? null : `${action} needs ${schema} data`;
+  }
+  if (!matchesFieldType(data, 'object')) return `${action} needs an object`;
+
+  const wrong = Object.keys(schema).filter(field => !matchesFieldType(data[field], schema[field]));
+  return wrong.length > 0 ? `${action}: bad or missing ${wrong.join(', ')}` : null;
+}
+
+/**
+ * Check a received message
+ * @param {Object} message - Envelope
+ * @param {string} context - Receiving context
+ * @returns {string|null} What is wrong, or null
+ */
+function validateMessage(message, context) {
+  if (message.protocol !== MESSAGE_PROTOCOL_VERSION) {
+    return `Unsupported message protocol ${message.protocol}, expected ${MESSAGE_PROTOCOL_VERSION}; reload the extension pages`;
+  }
+  const type = MESSAGE_TYPES[message.action];
+  if (!type) return `Unknown message ${message.action}`;
+  if (!type.to.includes(context)) return `${message.action} is not sent to the ${context}`;
+  return checkMessageData(message.action, message.data);
+}
+
+/**
+ * Build a message envelope
+ * @param {string} action - Message type
+ * @param {*} data - Payload
+ * @param {string} to - Receiving context
+ * @returns {Object} Envelope
+ * @throws {Error} 'invalid' when the type does not go there or the data
+ *   does not match
+ */
+function createMessage(action, data, to) {
+  const message = {
+    protocol: MESSAGE_PROTOCOL_VERSION,
+    id: `msg_${Date.now()}_${messageCounter++}_${Math.random().toString(36).slice(2, 8)}`,
+    action,
+    to,
+    data: data === undefined ? null : data
+  };
+
+  const problem = validateMessage(message, to);
+  if (problem) throw messageError('invalid', problem);
+  return message;
+}
+
+/**
+ * Send an envelope and wait for its answer, trying again while nothing is
+ * listening
+ * @param {Object} message - Envelope
+ * @param {Object} options - { tabId, timeout, retries }
+ * @returns {Promise<Object|undefined>} Answer envelope
+ */
+async function deliverMessage(message, options) {
+  const { tabId, retries = 0 } = options;
+  const timeout = options.timeout || MESSAGE_TYPES[message.action].timeout || MESSAGE_TIMEOUT_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    let timer = null;
+    try {
+      const sending = tabId === undefined
+        ? chrome.runtime.sendMessage(message)
+        : chrome.tabs.sendMessage(tabId, message);
+      const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(messageError('timeout', `No answer to ${message.action} within ${Math.round(timeout / 1000)}s`)), timeout);
+      });
+      return await Promise.race([sending, expired]);
+    } catch (error) {
+      if (error.code) throw error;
+
+      if (!isNoReceiverError(error)) {
+        throw messageError('failed', `${message.action} failed: ${error.message}`);
+      }
+      if (attempt >= retries) {
+        throw messageError('no-receiver', `Nothing received ${message.action}${tabId === undefined ? '' : ' in the Flow tab'}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, MESSAGE_RETRY_MS));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+/**
+ * Send a request and wait for its answer
+ * @param {string} action - Message type
+ * @param {*} data - Payload
+ * @param {Object} options - { tabId: send to that tab's content script,
+ *   timeout, retries: tries after the first while nothing is listening }
+ * @returns {Promise<*>} The receiver's answer
+ * @throws {Error} With code 'invalid' | 'no-receiver' | 'timeout' | 'rejected' | 'failed'
+ */
+async function sendMessage(action, data = null, options = {}) {
+  const message = createMessage(action, data, options.tabId === undefined ? 'background' : 'content');
+  const response = await deliverMessage(message, options);
+
+  if (!response || response.replyTo !== message.id) {
+    throw messageError('no-receiver', `Nothing answered ${action}`);
+  }
+  if (response.error) {
+    throw messageError('rejected', response.error);
+  }
+  return response.data;
+}
+
+/**
+ * Send an event. Never throws; a retained event that no page takes is
+ * kept for the next PAGE_READY.
+ * @param {string} action - Message type
+ * @param {*} data - Payload
+ * @param {Object} options - { tabId, to: 'page' for the popup and history
+ *   page, retries }
+ * @returns {Promise<boolean>} Whether a receiver acknowledged it
+ */
+async function sendEvent(action, data = null, options = {}) {
+  const to = options.tabId === undefined ? options.to || 'background' : 'content';
+  let delivered = false;
+
+  try {
+    const message = createMessage(action, data, to);
+    const response = await deliverMessage(message, options);
+    delivered = !!response && response.replyTo === message.id;
+  } catch (error) {
+    if (error.code !== 'no-receiver') {
+      console.error(`[Flow Story Generator] Could not send ${action}:`, error.message);
+    }
+  }
+
+  if (to === 'page' && MESSAGE_TYPES[action].retain) {
+    await updateOutbox(outbox => {
+      if (delivered) {
+        delete outbox[action];
+      } else {
+        // Only the latest of each kind is worth showing
+        outbox[action] = { data, time: Date.now() };
+      }
+    });
+  }
+  return delivered;
+}
+
+/**
+ * Change the retained events
+ * @param {Function} change - Gets the outbox object to modify
+ */
+function updateOutbox(change) {
+  outboxLock = outboxLock.then(async () => {
+    const result = await chrome.storage.session.get(MESSAGE_OUTBOX_KEY);
+    const outbox = result[MESSAGE_OUTBOX_KEY] || {};
+    change(outbox);
+    await chrome.storage.session.set({ [MESSAGE_OUTBOX_KEY]: outbox });
+  }).catch(error => {
+    console.error('[Flow Story Generator] Could not update the message outbox:', error);
+  });
+  return outboxLock;
+}
+
+/**
+ * Forget the retained events, e.g. when a new run starts
+ */
+function clearRetainedEvents() {
+  return updateOutbox(outbox => {
+    Object.keys(outbox).forEach(action => delete outbox[action]);
+  });
+}
+
+/**
+ * Send the retained events again, to a page that just opened
+ */
+async function deliverRetainedEvents() {
+  let pending = {};
+  await updateOutbox(outbox => {
+    pending = { ...outbox };
+  });
+
+  for (const [action, event] of Object.entries(pending)) {
+    if (Date.now() - event.time > MESSAGE_RETAIN_MS) {
+      await updateOutbox(outbox => {
+        if (outbox[action] && outbox[action].time === event.time) delete outbox[action];
+      });
+      continue;
+    }
+    await sendEvent(action, event.data, { to: 'page' });
+  }
+}
+
+/**
+ * Receive messages. Messages for other contexts are left alone; requests
+ * this context does not take or that fail validation are answered with an
+ * error instead of being dropped.
+ * @param {string|string[]} context - Receiving context; a content script
+ *   on an extension page (the mock Flow page) also takes page messages
+ * @param {string[]} actions - Message types this context handles
+ * @param {Function} handler - (message, sender, sendResponse), as for
+ *   chrome.runtime.onMessage; returns true when it answers later. Events
+ *   are acknowledged for it.
+ */
+function listenForMessages(context, actions, handler) {
+  const contexts = Array.isArray(context) ? context : [context];
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (!message || typeof message !== 'object' || !message.action) return false;
+    if (message.to && !contexts.includes(message.to)) return false;
+
+    const reply = (answer) => sendResponse({
+      protocol: MESSAGE_PROTOCOL_VERSION,
+      replyTo: message.id || null,
+      ...answer
+    });
+    const type = MESSAGE_TYPES[message.action];
+    const problem = validateMessage(message, message.to || contexts[0]) ||
+      (actions.includes(message.action) ? null : `The ${contexts[0]} does not handle ${message.action}`);
+
+    if (problem) {
+      // Events go to every page; one that a page does not handle is
+      // someone else's
+      if (!(type && type.event)) {
+        console.warn('[Flow Story Generator] Refused message:', problem);
+        reply({ error: problem });
+      }
+      return false;
+    }
+
+    if (type.event) {
+      handler(message, sender, () => {});
+      // A content script on the mock page takes page events too but
+      // leaves the acknowledgement to the popup, so a retained event
+      // still counts as missed while the popup is closed
+      if (message.to === contexts[0]) reply({ data: null });
+      return false;
+    }
+
+    return handler(message, sender, data => reply({ data: data === undefined ? null : data })) === true;
+  });
+}
@@ -0,0 +1,93 @@
+/**
+ * Flow Story Generator - Scene Graph
+ * Which earlier scenes each scene continues from, and the order that runs
+ * every scene after the scenes it continues from
+ */
+
+// chainFrom value for a scene that starts fresh (e.g. a new location)
+const NO_CHAIN = 'none';
+
+/**
+ * Indices of the scenes a scene continues from. Scenes without a resolved
+ * chain (plain prompts, jobs from earlier versions) continue from the
+ * scene before them.
+ * @param {Array} scenes - Scene objects
+ * @param {number} index - Scene index
+ * @returns {number[]}
+ */
+function getSceneParents(scenes, index) {
+  const chain = scenes[index].chain;
+  if (Array.isArray(chain)) return chain;
+  return index > 0 ? [index - 1] : [];
+}
+
+/**
+ * Order scene indices so every scene comes after the scenes it continues
+ * from. Parents outside the given indices don't hold a scene back (they
+ * were generated earlier); otherwise the storyboard order is kept.
+ * @param {Array} scenes - Scene objects
+ * @param {number[]} indices - Scene indices to order
+ * @returns {{order: number[], blocked: number[]}} blocked: scenes in a cycle
+ */
+function orderScenes(scenes, indices) {
+  const pending = new Set(indices);
+  const order = [];
+
+  let ready = true;
+  while (pending.size > 0 && ready) {
+    ready = false;
+    for (const index of indices) {
+      if (!pending.has(index)) continue;
+      if (getSceneParents(scenes, index).some(parent => pending.has(parent))) continue;
+
+      pending.delete(index);
+      order.push(index);
+      ready = true;
+      // Start over so an unblocked earlier scene runs before later ones
+      break;
+    }
+  }
+
+  return { order, blocked: indices.filter(index => pending.has(index)) };
+}
+
+/**
+ * Turn every scene's chainFrom (scene ids) into chain (scene indices)
+ * @param {Array} scenes - Scene objects ({ id, chainFrom? })
+ * @returns {{scenes: Array, errors: string[]}}
+ */
+function resolveSceneChains(scenes) {
+  const errors = [];
+  const indexById = new Map(scenes.map((scene, index) => [scene.id, index]));
+
+  const resolved = scenes.map((scene, index) => {
+    const label = `Scene ${scene.id} (${index + 1})`;
+
+    if (!Array.isArray(scene.chainFrom)) {
+      return { ...scene, chain: index > 0 ? [index - 1] : [] };
+    }
+
+    const chain = [];
+    scene.chainFrom.forEach(id => {
+      const parent = indexById.get(id);
+      if (parent === undefined) {
+        errors.push(`${label}: chains from unknown scene "${id}"`);
+      } else if (parent === index) {
+        errors.push(`${label}: cannot chain from itself`);
+      } else if (!chain.includes(parent)) {
+        chain.push(parent);
+      }
+    });
+
+    return { ...scene, chain };
+  });
+
+  if (errors.length === 0) {
+    const { blocked } = orderScenes(resolved, resolved.map((scene, index) => index));
+    if (blocked.length > 0) {
+      errors.push(`Scenes ${blocked.map(index => resolved[index].id).join(', ')} can't run: their chains form a loop`);
+    }
+  }
+
+  return { scenes: resolved, errors };
+}
@@ -0,0 +1,160 @@
+/**
+ * Flow Story Generator - Selector Profiles
+ * Everything the content script knows about Flow's DOM, as a versioned
+ * profile users can edit when a Flow deploy changes the page
+ */
+
+const SELECTOR_STORAGE_KEY = 'flowSelectorProfile';
+
+// Roles the automation needs, in the order the health check reports them.
+// Required roles must be on the page before a run can start; the others
+// are only needed for chaining, characters and references. Roles marked
+// onlyOnError are only on the page while Flow shows an error.
+const SELECTOR_ROLES = [
+  { role: 'promptTextarea', label: 'Prompt textarea', required: true, keywords: ['prompt'] },
+  { role: 'createButton', label: 'Create button', required: true, keywords: ['create', 'arrow_forward'] },
+  { role: 'addToPromptButton', label: 'Add To Prompt button', required: false, keywords: ['add to prompt'] },
+  { role: 'addIngredientButton', label: 'Add ingredient button', required: false, keywords: ['add', 'add_circle', 'add_box'] },
+  { role: 'fileInput', label: 'File input', required: false, keywords: ['image', 'png'] },
+  { role: 'closeModalButton', label: 'Close modal button', required: false, keywords: ['close'] },
+  { role: 'ingredientChip', label: 'Attached ingredient', required: false, keywords: ['ingredient', 'remove'] },
+  { role: 'ingredientRemoveButton', label: 'Remove ingredient button', required: false, keywords: ['remove', 'close', 'delete'] },
+  { role: 'ingredientUploading', label: 'Ingredient upload in progress', required: false, keywords: ['uploading', 'progress'] },
+  { role: 'generatedImages', label: 'Generated image', required: false, keywords: ['flow image'] },
+  { role: 'errorMessage', label: 'Error message', required: false, onlyOnError: true, keywords: ['error', 'went wrong'] }
+];
+
+// Selectors based on documentation - with multiple fallbacks. Classes like
+// "sc-c177465c-1" are styled-components hashes and change on Flow deploys.
+const DEFAULT_SELECTOR_PROFILE = {
+  name: 'Default',
+  version: 1,
+  updatedAt: null,
+  selectors: {
+    promptTextarea: ['textarea#PINHOLE_TEXT_AREA_ELEMENT_ID'],
+    createButton: ['button[aria-label="Create"]'],
+    addToPromptButton: ['button[aria-label*="Add To Prompt"]'],
+    // NOTE: These buttons use Google Symbols icons, not aria-labels!
+    addIngredientButton: [
+      'button:has(i.google-symbols)',
+      'button.sc-c177465c-1',
+      'button.sc-d02e9a37-1',
+      'button[aria-label="add"]',
+      'button[aria-label="Add"]',
+      'button[aria-label*="add ingredient"]',
+      'button[aria-label*="upload"]',
+      'button[aria-label*="Upload"]'
+    ],
+    fileInput: [
+      'input[type="file"].sc-8770743f-0',
+      'input[type="file"]',
+      'input[type="file"][accept*="image"]',
+      'input[accept=".png,.jpg,.jpeg,.webp,.heic,.avif"]'
+    ],
+    closeModalButton: [
+      'button[aria-label="close"]',
+      'button[aria-label="Close"]',
+      'button[aria-label*="close"]',
+      '[role="dialog"] button[aria-label*="close"]',
+      '[role="dialog"] button:first-child'
+    ],
+    // Ingredients attached to the prompt, counted before Create
+    ingredientChip: [
+      '[data-ingredient-id]',
+      '.ingredient',
+      'div:has(> img):has(> button[aria-label*="remove" i])'
+    ],
+    // Inside a chip; clicking it takes the ingredient off the prompt
+    ingredientRemoveButton: [
+      'button[aria-label*="remove" i]',
+      'button[aria-label*="delete" i]'
+    ],
+    // Inside (or on) a chip while its image is still uploading
+    ingredientUploading: [
+      '.uploading',
+      '[aria-busy="true"]',
+      '[role="progressbar"]'
+    ],
+    generatedImages: ['img[alt*="Flow Image"]'],
+    // Toasts, alerts and failed generation cards; only their text is used,
+    // to recognize failures (see FAILURE_PATTERNS in content.js). Other
+    // live regions and cards hold status text that is not an error.
+    errorMessage: [
+      '[role="alert"]',
+      '[aria-live="assertive"]',
+      '[data-index].failed',
+      '[data-index][data-status="failed"]'
+    ]
+  }
+};
+
+/**
+ * Check that a string is a CSS selector the browser accepts
+ * @param {string} selector - CSS selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate a selector profile (as edited or imported by the user)
+ * @param {Object} raw - Profile object
+ * @returns {{profile: Object|null, errors: string[]}}
+ */
+function normalizeSelectorProfile(raw) {
+  const errors = [];
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { profile: null, errors: ['Selector profile must be an object'] };
+  }
+
+  const source = raw.selectors;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { profile: null, errors: ['Selector profile must have a "selectors" object'] };
+  }
+
+  const known = SELECTOR_ROLES.map(entry => entry.role);
+  Object.keys(source)
+    .filter(role => !known.includes(role))
+    .forEach(role => errors.push(`Unknown role "${role}"`));
+
+  const selectors = {};
+  SELECTOR_ROLES.forEach(({ role, label }) => {
+    // Profiles saved before a role existed use its default selectors
+    const value = role in source ? source[role] : DEFAULT_SELECTOR_PROFILE.selectors[role];
+    const list = typeof value === 'string' ? [value] : value;
+
+    if (!Array.isArray(list) || list.length === 0 || list.some(item => typeof item !== 'string' || !item.trim())) {
+      errors.push(`${label} ("${role}"): expected a selector or a list of selectors`);
+      return;
+    }
+
+    list.forEach(selector => {
+      if (!isValidSelector(selector)) {
+        errors.push(`${label} ("${role}"): invalid selector ${selector}`);
+      }
+    });
+
+    selectors[role] = list.map(selector => selector.trim());
+  });
+
+  if (errors.length > 0) {
+    return { profile: null, errors };
+  }
+
+  return {
+    profile: {
+      name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : 'Custom',
+      version: Number.isInteger(raw.version) && raw.version > 0 ? raw.version : 1,
+      updatedAt: raw.updatedAt || null,
+      selectors
+    },
+    errors
+  };
+}
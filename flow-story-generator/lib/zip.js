@@ -0,0 +1,146 @@
+/**
+ * Flow Story Generator - ZIP Writer
+ * Builds uncompressed (stored) ZIP archives. Images are already
+ * compressed, so deflating them again would only cost time.
+ */
+
+let crcTable = null;
+
+/**
+ * CRC-32 of a byte array
+ * @param {Uint8Array} bytes - Data
+ * @returns {number}
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields for a timestamp
+ * @param {Date} date - Modification date
+ * @returns {{time: number, date: number}}
+ */
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * A file name not in use yet: "_2", "_3", ... goes before the extension
+ * until it is free. The name returned is added to taken.
+ * @param {string} name - Wanted name
+ * @param {Set<string>} taken - Names in use, compared case-insensitively
+ * @returns {string}
+ */
+function uniqueZipName(name, taken) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  let unique = name;
+  for (let n = 2; taken.has(unique.toLowerCase()); n++) {
+    unique = `${base}_${n}${extension}`;
+  }
+  taken.add(unique.toLowerCase());
+  return unique;
+}
+
+/**
+ * Create a ZIP archive
+ * @param {Array} files - { name: string, data: Uint8Array|string, date?: Date }
+ * @returns {Blob} application/zip
+ * @throws {Error} When two files have the same name; unzip tools would
+ *   keep only one of them
+ */
+function createZip(files) {
+  const names = new Set();
+  files.forEach(file => {
+    const name = file.name.toLowerCase();
+    if (names.has(name)) {
+      throw new Error(`Two files in the ZIP are named ${file.name}`);
+    }
+    names.add(name);
+  });
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    const crc = crc32(data);
+    const stamp = dosDateTime(file.date || new Date());
+
+    // Local file header (flag 0x0800: UTF-8 file name)
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, stamp.time, true);
+    local.setUint16(12, stamp.date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, data);
+
+    // Central directory entry
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, stamp.time, true);
+    entry.setUint16(14, stamp.date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint16(30, 0, true);
+    entry.setUint16(32, 0, true);
+    entry.setUint16(34, 0, true);
+    entry.setUint16(36, 0, true);
+    entry.setUint32(38, 0, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(4, 0, true);
+  end.setUint16(6, 0, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+  end.setUint16(20, 0, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
@@ -0,0 +1,340 @@
+/**
+ * Flow Story Generator - Mock Flow Page
+ * An offline stand-in for Flow's prompt bar, add ingredient dialog and
+ * generated image cards. flow.html loads the content scripts itself, so a
+ * run started from this page goes through every step without Google.
+ */
+
+// Failure for each "Next Create" outcome, worded like Flow's messages so
+// the content script classifies them (see FAILURE_PATTERNS in content.js).
+// Toasts are shown as alerts, the others on the generation card.
+const MOCK_FAILURES = {
+  policy: { text: 'This prompt might violate our policies. Try a different prompt.', toast: false },
+  rate: { text: 'Too many requests. Please try again later.', toast: true },
+  quota: { text: 'You are out of credits for today.', toast: true },
+  network: { text: 'Something went wrong.', toast: false }
+};
+
+const MOCK_TOAST_MS = 8000;
+const MOCK_UPLOAD_MS = 1000;
+// Time between the variants of one Create
+const MOCK_VARIANT_MS = 600;
+
+const mockState = {
+  // Ingredients attached to the prompt: { id, label, src, uploading }
+  ingredients: [],
+  nextIngredient: 1,
+  nextCard: 1
+};
+
+const mockElements = {
+  duration: document.getElementById('mock-duration'),
+  variants: document.getElementById('mock-variants'),
+  outcome: document.getElementById('mock-outcome'),
+  outcomeSticky: document.getElementById('mock-outcome-sticky'),
+  ingredients: document.getElementById('ingredients'),
+  addIngredient: document.getElementById('add-ingredient'),
+  prompt: document.getElementById('PINHOLE_TEXT_AREA_ELEMENT_ID'),
+  create: document.getElementById('create'),
+  toasts: document.getElementById('toasts'),
+  results: document.getElementById('results'),
+  log: document.getElementById('mock-log')
+};
+
+/**
+ * Create an element with a class and optional text
+ */
+function mockElement(tag, className, text) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Note what the page received, newest first
+ * @param {string} text - Entry
+ */
+function mockLog(text) {
+  const entry = mockElement('div', 'mock-log-entry', `[${new Date().toLocaleTimeString()}] ${text}`);
+  mockElements.log.prepend(entry);
+  while (mockElements.log.children.length > 50) {
+    mockElements.log.lastChild.remove();
+  }
+}
+
+/**
+ * Create is only enabled with a prompt, as in Flow
+ */
+function updateCreateButton() {
+  mockElements.create.disabled = !mockElements.prompt.value.trim();
+}
+
+/**
+ * Show the ingredients attached to the prompt
+ */
+function renderIngredients() {
+  mockElements.ingredients.innerHTML = '';
+
+  mockState.ingredients.forEach(ingredient => {
+    const chip = mockElement('div', `ingredient${ingredient.uploading ? ' uploading' : ''}`);
+    chip.title = ingredient.label;
+
+    if (ingredient.src) {
+      const img = document.createElement('img');
+      img.src = ingredient.src;
+      img.alt = ingredient.label;
+      chip.appendChild(img);
+    }
+    chip.appendChild(mockElement('span', null, ingredient.uploading ? 'Uploading...' : ingredient.label));
+
+    const remove = mockElement('button', 'chip-remove', '×');
+    remove.type = 'button';
+    remove.setAttribute('aria-label', 'Remove ingredient');
+    remove.addEventListener('click', () => {
+      mockState.ingredients = mockState.ingredients.filter(other => other !== ingredient);
+      renderIngredients();
+    });
+    chip.appendChild(remove);
+
+    mockElements.ingredients.appendChild(chip);
+  });
+}
+
+/**
+ * Attach an ingredient to the prompt
+ * @param {string} label - Name shown on the chip
+ * @param {string} src - Image URL
+ * @param {boolean} uploading - Still uploading; it shows its image once done
+ * @returns {Object} The ingredient
+ */
+function addIngredient(label, src, uploading = false) {
+  const ingredient = { id: mockState.nextIngredient++, label, src: uploading ? null : src, uploading };
+  mockState.ingredients.push(ingredient);
+  renderIngredients();
+  return ingredient;
+}
+
+/**
+ * Close the add ingredient dialog if it is open
+ */
+function closeIngredientDialog() {
+  document.querySelector('.modal-backdrop')?.remove();
+}
+
+/**
+ * Open the add ingredient dialog. Like Flow's, its file input only exists
+ * while the dialog is open, and it closes once a file is chosen.
+ */
+function openIngredientDialog() {
+  closeIngredientDialog();
+
+  const backdrop = mockElement('div', 'modal-backdrop');
+  const dialog = mockElement('div', 'modal');
+  dialog.setAttribute('role', 'dialog');
+  dialog.setAttribute('aria-label', 'Add ingredient');
+
+  const close = mockElement('button', 'modal-close', '×');
+  close.type = 'button';
+  close.setAttribute('aria-label', 'Close');
+  close.addEventListener('click', closeIngredientDialog);
+
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.png,.jpg,.jpeg,.webp,.heic,.avif';
+
+  // The content script fires change more than once for one file; the
+  // dialog takes the first and is gone after that
+  let chosen = false;
+  input.addEventListener('change', () => {
+    const file = input.files && input.files[0];
+    if (chosen || !file) return;
+    chosen = true;
+    closeIngredientDialog();
+    uploadIngredient(file);
+  });
+
+  dialog.append(close, mockElement('h2', null, 'Add an ingredient'), mockElement('p', null, 'Upload an image'), input);
+  backdrop.appendChild(dialog);
+  backdrop.addEventListener('click', (event) => {
+    if (event.target === backdrop) closeIngredientDialog();
+  });
+  document.body.appendChild(backdrop);
+}
+
+/**
+ * "Upload" a chosen file: it is attached after MOCK_UPLOAD_MS
+ * @param {File} file - Chosen file
+ */
+function uploadIngredient(file) {
+  mockLog(`Ingredient file: ${file.name} (${file.type || 'no type'}, ${Math.round(file.size / 1024)} KB)`);
+  const ingredient = addIngredient(file.name, null, true);
+
+  const reader = new FileReader();
+  reader.onload = () => {
+    setTimeout(() => {
+      ingredient.src = reader.result;
+      ingredient.uploading = false;
+      renderIngredients();
+    }, MOCK_UPLOAD_MS);
+  };
+  reader.onerror = () => {
+    mockState.ingredients = mockState.ingredients.filter(other => other !== ingredient);
+    renderIngredients();
+    mockLog(`Could not read ${file.name}`);
+  };
+  reader.readAsDataURL(file);
+}
+
+/**
+ * Show an alert toast that disappears after a while
+ * @param {string} text - Message
+ */
+function showToast(text) {
+  const toast = mockElement('div', 'toast', text);
+  toast.setAttribute('role', 'alert');
+  mockElements.toasts.appendChild(toast);
+  setTimeout(() => toast.remove(), MOCK_TOAST_MS);
+}
+
+/**
+ * Draw a placeholder image for a variant
+ * @param {string} prompt - Prompt of the Create
+ * @param {number} variant - Variant number (1-based)
+ * @param {number} ingredients - Number of ingredients it was made with
+ * @returns {string} JPEG data URL
+ */
+function drawMockImage(prompt, variant, ingredients) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 384;
+  canvas.height = 216;
+  const context = canvas.getContext('2d');
+
+  let hash = 0;
+  for (let i = 0; i < prompt.length; i++) {
+    hash = (hash * 31 + prompt.charCodeAt(i)) | 0;
+  }
+  const hue = (hash >>> 0) % 360;
+
+  const gradient = context.createLinearGradient(0, 0, canvas.width, canvas.height);
+  gradient.addColorStop(0, `hsl(${hue}, 60%, 45%)`);
+  gradient.addColorStop(1, `hsl(${(hue + 40 + variant * 30) % 360}, 60%, 30%)`);
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, canvas.width, canvas.height);
+
+  context.fillStyle = '#fff';
+  context.font = 'bold 16px sans-serif';
+  context.fillText(`Variant ${variant} · ${ingredients} ingredient(s)`, 16, 28);
+
+  // Every image differs, like Flow's, even for the same prompt
+  context.font = '11px sans-serif';
+  context.fillText(`${new Date().toLocaleTimeString()} #${Math.random().toString(36).slice(2, 8)}`, 16, canvas.height - 12);
+
+  // Wrap the prompt over a few lines
+  context.font = '14px sans-serif';
+  const words = prompt.split(/\s+/);
+  let line = '';
+  let y = 60;
+  for (const word of words) {
+    const next = line ? `${line} ${word}` : word;
+    if (context.measureText(next).width > canvas.width - 32 && line) {
+      context.fillText(line, 16, y);
+      line = word;
+      y += 20;
+      if (y > canvas.height - 36) break;
+    } else {
+      line = next;
+    }
+  }
+  if (y <= canvas.height - 36) context.fillText(line, 16, y);
+
+  return canvas.toDataURL('image/jpeg', 0.8);
+}
+
+/**
+ * Build a generated image card with its Add To Prompt button
+ * @param {string} src - Image URL
+ * @returns {HTMLElement}
+ */
+function createImageCard(src) {
+  const index = mockState.nextCard++;
+  const card = mockElement('div', 'card');
+  card.dataset.index = index;
+
+  const img = document.createElement('img');
+  img.src = src;
+  img.alt = `Flow Image ${index}`;
+
+  const add = mockElement('button', 'card-add', 'Add To Prompt');
+  add.type = 'button';
+  add.setAttribute('aria-label', 'Add To Prompt');
+  add.addEventListener('click', () => {
+    addIngredient(`Image ${index}`, src);
+    mockLog(`Add To Prompt: image ${index}`);
+  });
+
+  card.append(img, add);
+  return card;
+}
+
+/**
+ * Handle Create: the prompt and its ingredients turn into a pending card
+ * that becomes the variants (or a failure) once the generation time is up
+ */
+function createGeneration() {
+  const prompt = mockElements.prompt.value.trim();
+  if (!prompt) return;
+
+  const ingredients = mockState.ingredients.filter(ingredient => !ingredient.uploading);
+  const outcome = mockElements.outcome.value;
+  const duration = Math.max(parseInt(mockElements.duration.value) || 1, 1) * 1000;
+  const variants = Math.min(Math.max(parseInt(mockElements.variants.value) || 1, 1), 4);
+
+  mockLog(`Create: "${prompt.substring(0, 60)}" with ${ingredients.length} ingredient(s) [${ingredients.map(i => i.label).join(', ')}]${outcome !== 'success' ? `, outcome: ${outcome}` : ''}`);
+
+  // Flow clears the ingredients once a generation starts
+  mockState.ingredients = [];
+  renderIngredients();
+  if (!mockElements.outcomeSticky.checked) {
+    mockElements.outcome.value = 'success';
+  }
+
+  const failure = MOCK_FAILURES[outcome];
+  if (failure && failure.toast) {
+    setTimeout(() => showToast(failure.text), 500);
+    return;
+  }
+
+  const batch = mockElement('div', 'batch');
+  batch.appendChild(mockElement('div', 'batch-prompt', prompt));
+  const pending = mockElement('div', 'card pending', 'Generating...');
+  pending.dataset.index = mockState.nextCard++;
+  batch.appendChild(pending);
+  mockElements.results.prepend(batch);
+
+  if (outcome === 'hang') return;
+
+  setTimeout(() => {
+    if (failure) {
+      pending.textContent = failure.text;
+      pending.classList.replace('pending', 'failed');
+      return;
+    }
+
+    pending.remove();
+    for (let variant = 1; variant <= variants; variant++) {
+      setTimeout(() => {
+        batch.appendChild(createImageCard(drawMockImage(prompt, variant, ingredients.length)));
+      }, (variant - 1) * MOCK_VARIANT_MS);
+    }
+  }, duration);
+}
+
+mockElements.prompt.addEventListener('input', updateCreateButton);
+mockElements.create.addEventListener('click', createGeneration);
+mockElements.addIngredient.addEventListener('click', openIngredientDialog);
+document.addEventListener('keydown', (event) => {
+  if (event.key === 'Escape') closeIngredientDialog();
+});
+
+updateCreateButton();
@@ -7,30 +7,72 @@
 const state = {
   isRunning: false,
   isPaused: false,
-  characterImage: null,
-  characterImageData: null,
-  prompts: [],
+  characters: [],
+  scenes: [],
+  storyboard: null,
   currentIndex: 0,
   generatedImages: [],
-  tabId: null
+  lastJob: null,
+  tabId: null,
+  tabUrl: null,
+  // Set while loadState puts the saved session back, so the partly
+  // restored form is not saved over it
+  restoring: false,
+  // Built-in presets followed by the user's own
+  presets: [],
+  // Run log shown in the Activity Log. logId '' follows the current run;
+  // events that arrive while it loads wait in pending.
+  log: {
+    logId: '',
+    shownId: null,
+    entries: [],
+    ids: new Set(),
+    loading: false,
+    pending: []
+  }
 };
 
+// Most recent matching entries shown; exports have all of them
+const LOG_DISPLAY_LIMIT = 500;
+
+// Tokens understood by the download filename template
+const FILENAME_TOKENS = ['{run}', '{scene}', '{variant}', '{slug}', '{date}', '{character}'];
+
 // DOM Elements
 const elements = {
   // Status
   statusText: document.getElementById('status-text'),
   connectionStatus: document.getElementById('connection-status'),
 
-  // Character upload
+  // Character library
+  characterName: document.getElementById('character-name'),
   characterUploadArea: document.getElementById('character-upload-area'),
   characterImage: document.getElementById('character-image'),
-  uploadPreview: document.getElementById('upload-preview'),
-  characterPreview: document.getElementById('character-preview'),
-  removeCharacter: document.getElementById('remove-character'),
+  characterList: document.getElementById('character-list'),
+
+  // Reference image preparation
+  imageMaxDimension: document.getElementById('image-max-dimension'),
+  imageAspect: document.getElementById('image-aspect'),
+  imageFit: document.getElementById('image-fit'),
+  imageFill: document.getElementById('image-fill'),
+  imageFormat: document.getElementById('image-format'),
 
   // Prompts
   promptsInput: document.getElementById('prompts-input'),
   promptCount: document.getElementById('prompt-count'),
+  storyboardFile: document.getElementById('storyboard-file'),
+  btnImportStoryboard: document.getElementById('btn-import-storyboard'),
+  storyboardName: document.getElementById('storyboard-name'),
+  btnClearStoryboard: document.getElementById('btn-clear-storyboard'),
+  sceneTreeDetails: document.getElementById('scene-tree-details'),
+  sceneTree: document.getElementById('scene-tree'),
+
+  // Prompt template
+  templatePrefix: document.getElementById('template-prefix'),
+  templateSuffix: document.getElementById('template-suffix'),
+  templateVariables: document.getElementById('template-variables'),
+  btnPreviewPrompts: document.getElementById('btn-preview-prompts'),
+  templatePreview: document.getElementById('template-preview'),
 
   // Progress
   progressSection: document.getElementById('progress-section'),
@@ -38,28 +80,81 @@ const elements = {
   progressCurrent: document.getElementById('progress-current'),
   progressTotal: document.getElementById('progress-total'),
   currentPrompt: document.getElementById('current-prompt'),
+  sceneLedger: document.getElementById('scene-ledger'),
+
+  // Run scope
+  runMode: document.getElementById('run-mode'),
+  runFrom: document.getElementById('run-from'),
+  runTo: document.getElementById('run-to'),
+  runToLabel: document.getElementById('run-to-label'),
 
   // Buttons
   btnStart: document.getElementById('btn-start'),
   btnPause: document.getElementById('btn-pause'),
   btnResume: document.getElementById('btn-resume'),
   btnStop: document.getElementById('btn-stop'),
+  btnRerunFailed: document.getElementById('btn-rerun-failed'),
+  failedCount: document.getElementById('failed-count'),
+  btnEnqueue: document.getElementById('btn-enqueue'),
+  btnStartQueue: document.getElementById('btn-start-queue'),
   btnDownload: document.getElementById('btn-download'),
+  btnDownloadZip: document.getElementById('btn-download-zip'),
   btnClearLog: document.getElementById('btn-clear-log'),
 
+  // Queue
+  queueCount: document.getElementById('queue-count'),
+  queueStartAt: document.getElementById('queue-start-at'),
+  queueList: document.getElementById('queue-list'),
+
   // Download options
   downloadOptions: document.getElementById('download-options'),
-  filenamePrefix: document.getElementById('filename-prefix'),
+  filenameTemplate: document.getElementById('filename-template'),
+  downloadSubfolder: document.getElementById('download-subfolder'),
+  downloadAlternates: document.getElementById('download-alternates'),
 
   // Log
+  logRun: document.getElementById('log-run'),
+  logLevel: document.getElementById('log-level'),
+  logSearch: document.getElementById('log-search'),
   logContainer: document.getElementById('log-container'),
+  logCount: document.getElementById('log-count'),
+  btnExportLogJsonl: document.getElementById('btn-export-log-jsonl'),
+  btnExportLogText: document.getElementById('btn-export-log-text'),
   btnScanPage: document.getElementById('btn-scan-page'),
+  btnHealthCheck: document.getElementById('btn-health-check'),
+  btnHistory: document.getElementById('btn-history'),
+  btnMockFlow: document.getElementById('btn-mock-flow'),
+
+  // Selector profile
+  selectorProfileName: document.getElementById('selector-profile-name'),
+  selectorProfile: document.getElementById('selector-profile'),
+  selectorFile: document.getElementById('selector-file'),
+  btnSaveSelectors: document.getElementById('btn-save-selectors'),
+  btnImportSelectors: document.getElementById('btn-import-selectors'),
+  btnExportSelectors: document.getElementById('btn-export-selectors'),
+  btnResetSelectors: document.getElementById('btn-reset-selectors'),
+
+  // Settings presets
+  settingPreset: document.getElementById('setting-preset'),
+  presetName: document.getElementById('preset-name'),
+  btnSavePreset: document.getElementById('btn-save-preset'),
+  btnDeletePreset: document.getElementById('btn-delete-preset'),
+  btnImportPresets: document.getElementById('btn-import-presets'),
+  btnExportPresets: document.getElementById('btn-export-presets'),
+  presetFile: document.getElementById('preset-file'),
 
   // Settings
   settingTimeout: document.getElementById('setting-timeout'),
   settingDelay: document.getElementById('setting-delay'),
   settingRetries: document.getElementById('setting-retries'),
-  settingDownloadDelay: document.getElementById('setting-download-delay')
+  settingDownloadDelay: document.getElementById('setting-download-delay'),
+  settingParallelTabs: document.getElementById('setting-parallel-tabs'),
+  settingChainStrategy: document.getElementById('setting-chain-strategy'),
+  settingReviewMode: document.getElementById('setting-review-mode'),
+  settingDryRun: document.getElementById('setting-dry-run'),
+  settingDailyBudget: document.getElementById('setting-daily-budget'),
+  settingRunBudget: document.getElementById('setting-run-budget'),
+  usageToday: document.getElementById('usage-today')
 };
 
 /**
@@ -70,16 +165,22 @@ async function init() {
 
   // Load saved state
   await loadState();
+  await loadPresets();
+  await loadSelectorProfile();
 
   // Get current tab
   const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
   if (tabs[0]) {
     state.tabId = tabs[0].id;
+    state.tabUrl = tabs[0].url || null;
 
     // Check if we're on the correct page
     if (tabs[0].url && tabs[0].url.includes('labs.google/fx/tools/flow')) {
       updateConnectionStatus('connected');
       log('Connected to Google Flow page', 'success');
+    } else if (tabs[0].url && tabs[0].url.startsWith(chrome.runtime.getURL('mock/flow.html'))) {
+      updateConnectionStatus('connected');
+      log('Connected to the mock Flow page (offline, no credits used)', 'success');
     } else {
       updateConnectionStatus('disconnected');
       log('Please navigate to Google Flow (labs.google/fx/tools/flow)', 'warning');
@@ -89,15 +190,43 @@ async function init() {
   // Setup event listeners
   setupEventListeners();
 
-  // Listen for messages from content script
-  chrome.runtime.onMessage.addListener(handleMessage);
+  // Listen for the job's broadcasts
+  listenForMessages('page', [
+    'PROGRESS_UPDATE', 'GENERATION_COMPLETE', 'GENERATION_ERROR', 'JOB_STATUS',
+    'QUEUE_STATUS', 'LOG_EVENT', 'DOWNLOAD_PROGRESS', 'DOWNLOAD_COMPLETE'
+  ], handleMessage);
+
+  // The log of the current run, kept by the background service worker
+  await loadLog();
+
+  // Keep the daily usage current while a run is going
+  showUsage();
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.flowStoryUsage) {
+      showUsage();
+    }
+  });
+
+  // Pick up a generation that kept running while the popup was closed
+  const response = await sendToBackground({ action: 'GET_JOB_STATUS' });
+  if (response && response.job) {
+    applyJobStatus(response.job);
+  }
+
+  const queued = await sendToBackground({ action: 'GET_QUEUE' });
+  if (queued && queued.queue) {
+    renderQueue(queued.queue);
+  }
+
+  // Progress and completion broadcast while the popup was closed
+  sendEvent('PAGE_READY');
 }
 
 /**
  * Setup event listeners
  */
 function setupEventListeners() {
-  // Character image upload
+  // Character library upload
   elements.characterUploadArea.addEventListener('click', () => {
     elements.characterImage.click();
   });
@@ -116,107 +245,552 @@ function setupEventListeners() {
     elements.characterUploadArea.classList.remove('drag-over');
     const files = e.dataTransfer.files;
     if (files.length > 0) {
-      handleCharacterUpload(files[0]);
+      handleCharacterUpload(files);
     }
   });
 
   elements.characterImage.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-      handleCharacterUpload(e.target.files[0]);
+      handleCharacterUpload(e.target.files);
     }
+    e.target.value = '';
   });
 
-  elements.removeCharacter.addEventListener('click', (e) => {
-    e.stopPropagation();
-    removeCharacterImage();
-  });
+  [
+    elements.imageMaxDimension,
+    elements.imageAspect,
+    elements.imageFit,
+    elements.imageFill,
+    elements.imageFormat
+  ].forEach(input => input.addEventListener('change', saveState));
 
   // Prompts input
   elements.promptsInput.addEventListener('input', updatePromptCount);
 
+  // Storyboard import
+  elements.btnImportStoryboard.addEventListener('click', () => {
+    elements.storyboardFile.click();
+  });
+
+  elements.storyboardFile.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      handleStoryboardImport(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+
+  elements.btnClearStoryboard.addEventListener('click', clearStoryboard);
+
+  // Prompt template
+  elements.templatePrefix.addEventListener('change', saveState);
+  elements.templateSuffix.addEventListener('change', saveState);
+  elements.templateVariables.addEventListener('change', saveState);
+  elements.btnPreviewPrompts.addEventListener('click', previewPrompts);
+
+  // Run scope
+  elements.runMode.addEventListener('change', updateRunScope);
+
   // Control buttons
   elements.btnStart.addEventListener('click', startGeneration);
   elements.btnPause.addEventListener('click', pauseGeneration);
   elements.btnResume.addEventListener('click', resumeGeneration);
   elements.btnStop.addEventListener('click', stopGeneration);
+  elements.btnRerunFailed.addEventListener('click', rerunFailedScenes);
+  elements.btnEnqueue.addEventListener('click', queueGeneration);
+  elements.btnStartQueue.addEventListener('click', startQueue);
   elements.btnDownload.addEventListener('click', downloadAllImages);
+  elements.btnDownloadZip.addEventListener('click', downloadZip);
   elements.btnClearLog.addEventListener('click', clearLog);
+  elements.btnExportLogJsonl.addEventListener('click', () => exportLog('jsonl'));
+  elements.btnExportLogText.addEventListener('click', () => exportLog('text'));
+  elements.logRun.addEventListener('change', () => {
+    state.log.logId = elements.logRun.value;
+    loadLog();
+  });
+  elements.logLevel.addEventListener('change', renderLog);
+  elements.logSearch.addEventListener('input', renderLog);
   elements.btnScanPage.addEventListener('click', scanPage);
+  elements.btnHealthCheck.addEventListener('click', () => runHealthCheck(true));
+  // The history page is the extension's options page
+  elements.btnHistory.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  elements.btnMockFlow.addEventListener('click', () => {
+    chrome.tabs.create({ url: chrome.runtime.getURL('mock/flow.html') });
+  });
+
+  // Selector profile
+  elements.btnSaveSelectors.addEventListener('click', saveSelectorProfile);
+  elements.btnImportSelectors.addEventListener('click', () => {
+    elements.selectorFile.click();
+  });
+  elements.selectorFile.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      importSelectorProfile(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+  elements.btnExportSelectors.addEventListener('click', exportSelectorProfile);
+  elements.btnResetSelectors.addEventListener('click', resetSelectorProfile);
+
+  // Download options
+  elements.filenameTemplate.addEventListener('change', () => {
+    validateFilenameTemplate();
+    saveState();
+  });
+  elements.downloadSubfolder.addEventListener('change', saveState);
+  elements.downloadAlternates.addEventListener('change', saveState);
 
   // Settings changes
-  elements.settingTimeout.addEventListener('change', saveState);
-  elements.settingDelay.addEventListener('change', saveState);
-  elements.settingRetries.addEventListener('change', saveState);
-  elements.settingDownloadDelay.addEventListener('change', saveState);
+  [
+    elements.settingTimeout,
+    elements.settingDelay,
+    elements.settingRetries,
+    elements.settingDownloadDelay,
+    elements.settingParallelTabs,
+    elements.settingChainStrategy,
+    elements.settingReviewMode,
+    elements.settingDryRun,
+    elements.settingDailyBudget,
+    elements.settingRunBudget
+  ].forEach(input => input.addEventListener('change', () => {
+    updatePresetSelection();
+    saveState();
+  }));
+
+  // Settings presets
+  elements.settingPreset.addEventListener('change', () => applyPreset(elements.settingPreset.value));
+  elements.btnSavePreset.addEventListener('click', savePreset);
+  elements.btnDeletePreset.addEventListener('click', deletePreset);
+  elements.btnImportPresets.addEventListener('click', () => {
+    elements.presetFile.click();
+  });
+  elements.presetFile.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+      importPresets(e.target.files[0]);
+    }
+    e.target.value = '';
+  });
+  elements.btnExportPresets.addEventListener('click', exportPresets);
+}
+
+/**
+ * Get the reference image preparation options
+ * @returns {Object} See DEFAULT_IMAGE_OPTIONS
+ */
+function getImageOptions() {
+  return {
+    maxDimension: Math.max(parseInt(elements.imageMaxDimension.value) || 0, 0),
+    aspect: elements.imageAspect.value,
+    fit: elements.imageFit.value,
+    fill: elements.imageFill.value,
+    format: elements.imageFormat.value
+  };
 }
 
 /**
- * Handle character image upload
+ * Put reference image preparation options into their inputs
+ * @param {Object} options - As returned by getImageOptions
  */
-function handleCharacterUpload(file) {
-  if (!file.type.startsWith('image/')) {
-    log('Please upload a valid image file', 'error');
+function applyImageOptions(options) {
+  const merged = { ...DEFAULT_IMAGE_OPTIONS, ...options };
+  elements.imageMaxDimension.value = merged.maxDimension;
+  elements.imageAspect.value = merged.aspect;
+  elements.imageFit.value = merged.fit;
+  elements.imageFill.value = merged.fill;
+  elements.imageFormat.value = merged.format;
+}
+
+/**
+ * Add reference images to a character in the library, prepared with the
+ * reference image options. Images are appended when the character already
+ * exists.
+ * @param {FileList} files - Selected image files
+ */
+async function handleCharacterUpload(files) {
+  const name = normalizeCharacterName(elements.characterName.value);
+  if (!/^[a-z0-9][\w-]*$/.test(name)) {
+    log('Enter a character name first (letters, numbers, "-" or "_")', 'error');
+    elements.characterName.focus();
     return;
   }
 
+  const options = getImageOptions();
+  const images = [];
+  for (const file of files) {
+    // HEIC files often come without a type
+    if (!file.type.startsWith('image/') && !/\.heic$/i.test(file.name)) {
+      log(`Skipping ${file.name}: not an image file`, 'error');
+      continue;
+    }
+
+    try {
+      const image = await prepareReferenceImage(file, options);
+      log(image.summary, 'info');
+      image.warnings.forEach(warning => log(warning, 'warning'));
+      images.push(image.dataUrl);
+    } catch (error) {
+      log(error.message, 'error');
+    }
+  }
+
+  if (images.length === 0) return;
+
+  let character = state.characters.find(c => c.name === name);
+  if (!character) {
+    character = { name, images: [] };
+    state.characters.push(character);
+  }
+  character.images.push(...images);
+
+  renderCharacterList();
+  elements.characterName.value = '';
+  log(`@${name}: ${images.length} reference image(s) added`, 'success');
+  saveState();
+}
+
+/**
+ * Remove a character from the library
+ * @param {string} name - Character name
+ */
+function removeCharacter(name) {
+  state.characters = state.characters.filter(c => c.name !== name);
+  renderCharacterList();
+  log(`Character @${name} removed`, 'info');
+  saveState();
+}
+
+/**
+ * Render the character library list
+ */
+function renderCharacterList() {
+  elements.characterList.innerHTML = '';
+
+  state.characters.forEach(character => {
+    const item = document.createElement('div');
+    item.className = 'character-item';
+
+    const tag = document.createElement('span');
+    tag.className = 'character-tag';
+    tag.textContent = `@${character.name}`;
+
+    const thumbs = document.createElement('div');
+    thumbs.className = 'character-thumbs';
+    character.images.forEach(src => {
+      const img = document.createElement('img');
+      img.src = src;
+      thumbs.appendChild(img);
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-remove';
+    remove.textContent = 'Remove';
+    remove.disabled = state.isRunning;
+    remove.addEventListener('click', () => removeCharacter(character.name));
+
+    // Used by prompt templates as {{name.description}}
+    const description = document.createElement('input');
+    description.type = 'text';
+    description.className = 'character-description';
+    description.placeholder = `Description, used as {{${character.name}.description}}`;
+    description.value = character.description || '';
+    description.addEventListener('change', () => {
+      character.description = description.value.trim();
+      saveState();
+    });
+
+    item.append(tag, thumbs, remove, description);
+    elements.characterList.appendChild(item);
+  });
+}
+
+/**
+ * Import a storyboard file (JSON or CSV)
+ */
+function handleStoryboardImport(file) {
   const reader = new FileReader();
   reader.onload = (e) => {
-    state.characterImage = file;
-    state.characterImageData = e.target.result;
+    const result = parseStoryboard(e.target.result, file.name);
 
-    // Show preview
-    elements.uploadPreview.hidden = true;
-    elements.characterPreview.src = e.target.result;
-    elements.characterPreview.hidden = false;
-    elements.removeCharacter.hidden = false;
+    result.warnings.forEach(warning => log(warning, 'warning'));
 
-    log(`Character image loaded: ${file.name}`, 'success');
-    saveState();
+    if (result.errors.length > 0) {
+      log(`Storyboard "${file.name}" has ${result.errors.length} error(s), nothing imported:`, 'error');
+      result.errors.forEach(error => log(`  ${error}`, 'error'));
+      return;
+    }
+
+    if (result.scenes.length === 0) {
+      log(`Storyboard "${file.name}" contains no scenes`, 'error');
+      return;
+    }
+
+    state.storyboard = { name: file.name, scenes: result.scenes };
+    applyStoryboard();
+    log(`Storyboard loaded: ${file.name} (${result.scenes.length} scenes)`, 'success');
   };
-  reader.readAsDataURL(file);
+  reader.onerror = () => {
+    log(`Could not read ${file.name}`, 'error');
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Discard the imported storyboard and go back to one prompt per line
+ */
+function clearStoryboard() {
+  state.storyboard = null;
+  applyStoryboard();
+  log('Storyboard cleared', 'info');
 }
 
 /**
- * Remove character image
+ * Reflect the imported storyboard (or its absence) in the prompts section
  */
-function removeCharacterImage() {
-  state.characterImage = null;
-  state.characterImageData = null;
+function applyStoryboard() {
+  const storyboard = state.storyboard;
 
-  elements.uploadPreview.hidden = false;
-  elements.characterPreview.hidden = true;
-  elements.characterPreview.src = '';
-  elements.removeCharacter.hidden = true;
-  elements.characterImage.value = '';
+  if (storyboard) {
+    elements.promptsInput.value = storyboard.scenes.map(scene => scene.prompt).join('\n');
+    elements.storyboardName.textContent = `${storyboard.name} (${storyboard.scenes.length} scenes)`;
+  }
 
-  log('Character image removed', 'info');
-  saveState();
+  elements.promptsInput.readOnly = !!storyboard;
+  elements.storyboardName.hidden = !storyboard;
+  elements.btnClearStoryboard.hidden = !storyboard;
+  updatePromptCount();
+}
+
+/**
+ * Get the scenes to generate: the imported storyboard, or one scene per line
+ */
+function getScenes() {
+  if (state.storyboard) {
+    return state.storyboard.scenes;
+  }
+  return scenesFromLines(elements.promptsInput.value);
+}
+
+/**
+ * Get the prompt template as typed in the popup
+ * @returns {{prefix: string, suffix: string, variables: string}}
+ */
+function getTemplate() {
+  return {
+    prefix: elements.templatePrefix.value,
+    suffix: elements.templateSuffix.value,
+    variables: elements.templateVariables.value
+  };
+}
+
+/**
+ * Show the fully expanded prompt of every scene, as it will be sent to Flow
+ */
+function previewPrompts() {
+  const { scenes, errors } = applyPromptTemplate(getScenes(), getTemplate(), state.characters);
+
+  elements.templatePreview.innerHTML = '';
+  elements.templatePreview.hidden = scenes.length === 0;
+
+  if (scenes.length === 0) {
+    log('No prompts to preview', 'warning');
+    return;
+  }
+
+  scenes.forEach(scene => {
+    const item = document.createElement('li');
+    // Variables left in the prompt could not be expanded
+    item.className = /\{\{/.test(scene.prompt) ? 'unresolved' : '';
+
+    const label = document.createElement('strong');
+    label.textContent = scene.title || scene.id;
+
+    item.append(label, document.createTextNode(` ${scene.prompt}`));
+    elements.templatePreview.appendChild(item);
+  });
+
+  if (errors.length > 0) {
+    log(`Prompt template has ${errors.length} problem(s):`, 'warning');
+    errors.forEach(error => log(`  ${error}`, 'warning'));
+  } else {
+    log(`Previewing ${scenes.length} expanded prompts`, 'info');
+  }
 }
 
 /**
  * Update prompt count display
  */
 function updatePromptCount() {
-  const text = elements.promptsInput.value.trim();
-  const prompts = text ? text.split('\n').filter(p => p.trim()) : [];
-  elements.promptCount.textContent = prompts.length;
-  state.prompts = prompts;
+  const scenes = getScenes();
+  elements.promptCount.textContent = scenes.length;
+  state.scenes = scenes;
+  renderSceneTree(scenes);
   saveState();
 }
 
+/**
+ * Show which scene continues from which, for storyboards that branch.
+ * A run of scenes that simply follow each other stays on one level; each
+ * branch is indented under the scene it starts from.
+ * @param {Array} scenes - Scene objects
+ */
+function renderSceneTree(scenes) {
+  elements.sceneTree.innerHTML = '';
+
+  const { scenes: resolved, errors } = resolveSceneChains(scenes);
+  const branching = scenes.some(scene => scene.chainFrom);
+  elements.sceneTreeDetails.hidden = !branching || errors.length > 0;
+  if (elements.sceneTreeDetails.hidden) return;
+
+  // Each scene hangs under the first scene it continues from
+  const children = resolved.map(() => []);
+  const roots = [];
+  resolved.forEach((scene, index) => {
+    if (scene.chain.length > 0) {
+      children[scene.chain[0]].push(index);
+    } else {
+      roots.push(index);
+    }
+  });
+
+  const addBranch = (list, start) => {
+    let index = start;
+    while (index !== undefined) {
+      const scene = resolved[index];
+      const item = document.createElement('li');
+      item.textContent = `${scene.id}: ${scene.title || scene.prompt}`;
+      item.title = scene.prompt;
+      // Scenes that don't chain from anything start a new sequence
+      if (scene.chain.length === 0) item.className = 'scene-tree-root';
+
+      const others = scene.chain.slice(1).map(parent => resolved[parent].id);
+      if (others.length > 0) {
+        const also = document.createElement('span');
+        also.className = 'scene-tree-also';
+        also.textContent = ` (also from ${others.join(', ')})`;
+        item.appendChild(also);
+      }
+      list.appendChild(item);
+
+      const next = children[index];
+      if (next.length === 1) {
+        index = next[0];
+        continue;
+      }
+
+      next.forEach(child => {
+        const branch = document.createElement('ul');
+        addBranch(branch, child);
+        item.appendChild(branch);
+      });
+      index = undefined;
+    }
+  };
+
+  roots.forEach(root => addBranch(elements.sceneTree, root));
+}
+
+/**
+ * Show the scene number inputs for the selected run mode
+ */
+function updateRunScope() {
+  const mode = elements.runMode.value;
+  elements.runFrom.hidden = mode === 'all';
+  elements.runToLabel.hidden = mode !== 'range';
+  elements.runTo.hidden = mode !== 'range';
+}
+
+/**
+ * Get the scenes to run from the run scope inputs
+ * @param {number} sceneCount - Number of scenes in the storyboard
+ * @returns {{range: Object|null, error: string|null}} 0-based inclusive range
+ */
+function getRunRange(sceneCount) {
+  const mode = elements.runMode.value;
+  if (mode === 'all') {
+    return { range: null, error: null };
+  }
+
+  const from = parseInt(elements.runFrom.value);
+  const to = mode === 'range' ? parseInt(elements.runTo.value) : sceneCount;
+
+  if (!(from >= 1 && from <= sceneCount)) {
+    return { range: null, error: `Start scene must be between 1 and ${sceneCount}` };
+  }
+  if (!(to >= from && to <= sceneCount)) {
+    return { range: null, error: `End scene must be between ${from} and ${sceneCount}` };
+  }
+
+  return { range: { start: from - 1, end: to - 1 }, error: null };
+}
+
+/**
+ * Validate the scenes, template, character tags, chains and range of a run
+ * @returns {{scenes: Array, range: Object|null, characters: Array}|null} Null
+ *   (after logging why) when invalid. characters: the library entries the
+ *   scenes are tagged with
+ */
+function prepareRun() {
+  // Validate inputs - characters are OPTIONAL, but every @tag must exist
+  if (getScenes().length === 0) {
+    log('Please enter at least one prompt', 'error');
+    return null;
+  }
+
+  // Expand the template first: variables may contain @tags
+  const template = applyPromptTemplate(getScenes(), getTemplate(), state.characters);
+  if (template.errors.length > 0) {
+    log('Fix the prompt template before starting:', 'error');
+    template.errors.forEach(error => log(`  ${error}`, 'error'));
+    return null;
+  }
+
+  const tagged = resolveCharacterTags(template.scenes, state.characters);
+  if (tagged.errors.length > 0) {
+    log('Add these characters to the library or fix the tags:', 'error');
+    tagged.errors.forEach(error => log(`  ${error}`, 'error'));
+    return null;
+  }
+
+  const { scenes, errors } = resolveSceneChains(tagged.scenes);
+  if (errors.length > 0) {
+    log('Fix the scene chains before starting:', 'error');
+    errors.forEach(error => log(`  ${error}`, 'error'));
+    return null;
+  }
+
+  const { range, error } = getRunRange(scenes.length);
+  if (error) {
+    log(error, 'error');
+    return null;
+  }
+
+  const tags = new Set(scenes.flatMap(scene => scene.characters));
+  return { scenes, range, characters: state.characters.filter(character => tags.has(character.name)) };
+}
+
 /**
  * Start the generation process
  */
 async function startGeneration() {
-  // Validate inputs - character image is now OPTIONAL
-  const prompts = elements.promptsInput.value.trim().split('\n').filter(p => p.trim());
-  if (prompts.length === 0) {
-    log('Please enter at least one prompt', 'error');
-    return;
+  const run = prepareRun();
+  if (!run) return;
+  const { scenes, range, characters } = run;
+
+  // Check the selectors against the page before committing to a run
+  const health = await runHealthCheck(false);
+  if (health) {
+    const broken = health.checks.filter(check => check.required && check.status === 'fail');
+    if (broken.length > 0) {
+      log(`Cannot start: ${broken.map(check => check.label).join(', ')} not found. Update the selector profile and run the health check again.`, 'error');
+      return;
+    }
+  } else {
+    log('Health check unavailable, starting anyway', 'warning');
   }
 
-  state.prompts = prompts;
-  state.currentIndex = 0;
+  const total = range ? range.end - range.start + 1 : scenes.length;
+
+  state.scenes = scenes;
+  state.currentIndex = range ? range.start : 0;
   state.isRunning = true;
   state.isPaused = false;
   state.generatedImages = [];
@@ -224,25 +798,180 @@ async function startGeneration() {
   // Update UI
   updateControlButtons();
   elements.progressSection.hidden = false;
-  elements.progressTotal.textContent = prompts.length;
-  updateProgress(0);
+  updateProgress(0, total);
 
-  log(`Starting generation of ${prompts.length} images...`, 'info');
+  const preset = getPresetName();
+  const using = (preset ? ` with preset "${preset}"` : '') +
+    (getSettings().dryRun ? ' as a dry run (Create is not clicked)' : '');
+  if (range) {
+    log(`Starting generation of scenes ${range.start + 1}-${range.end + 1} (${total} images)${using}...`, 'info');
+  } else {
+    log(`Starting generation of ${total} images${using}...`, 'info');
+  }
   updateConnectionStatus('processing');
 
-  // Send start command to content script
-  await sendToContentScript({
+  // The background service worker owns the run, so it survives popup close
+  // and page reloads
+  const response = await sendToBackground({
     action: 'START_GENERATION',
     data: {
-      prompts: prompts,
-      characterImageData: state.characterImageData,
-      settings: getSettings()
+      tabId: state.tabId,
+      tabUrl: state.tabUrl,
+      scenes: scenes,
+      characters,
+      settings: getSettings(),
+      preset: getPresetName(),
+      range
     }
   });
 
+  if (!response || !response.success) {
+    log(`Could not start generation: ${(response && response.error) || 'no response'}`, 'error');
+    state.isRunning = false;
+    updateControlButtons();
+    updateConnectionStatus('connected');
+  }
+
   saveState();
 }
 
+/**
+ * Add the scenes to the background queue, to run after the current job
+ * or at the chosen start time
+ */
+async function queueGeneration() {
+  const run = prepareRun();
+  if (!run) return;
+
+  let startAt = null;
+  if (elements.queueStartAt.value) {
+    startAt = new Date(elements.queueStartAt.value).getTime();
+  }
+
+  const response = await sendToBackground({
+    action: 'ENQUEUE_GENERATION',
+    data: {
+      tabUrl: state.tabUrl,
+      scenes: run.scenes,
+      characters: run.characters,
+      settings: getSettings(),
+      preset: getPresetName(),
+      range: run.range,
+      name: state.storyboard ? state.storyboard.name : `${run.scenes.length} prompts`,
+      startAt,
+      // Queued runs download their images when they end
+      download: getDownloadOptions()
+    }
+  });
+
+  if (!response || !response.success) {
+    log(`Could not queue: ${(response && response.error) || 'no response'}`, 'error');
+    return;
+  }
+
+  elements.queueStartAt.value = '';
+  renderQueue(response.queue);
+}
+
+/**
+ * Start the first queued storyboard without waiting for its start time
+ */
+async function startQueue() {
+  const response = await sendToBackground({ action: 'START_QUEUE' });
+  if (!response || !response.success) {
+    log(`Could not start the queue: ${(response && response.error) || 'no response'}`, 'error');
+    return;
+  }
+  renderQueue(response.queue);
+}
+
+/**
+ * Move a queued storyboard, or remove it with offset null
+ * @param {string} id - Queue entry id
+ * @param {number|null} offset - Positions to move (negative is earlier)
+ */
+async function changeQueue(id, offset) {
+  const response = await sendToBackground(offset === null
+    ? { action: 'CANCEL_QUEUED', data: { id } }
+    : { action: 'MOVE_QUEUED', data: { id, offset } });
+
+  if (!response || !response.success) {
+    log((response && response.error) || 'Could not change the queue', 'error');
+    return;
+  }
+  renderQueue(response.queue);
+}
+
+/**
+ * Render the queued storyboards
+ * @param {Array} queue - Queue summary from the background service worker
+ */
+function renderQueue(queue) {
+  elements.queueCount.textContent = queue.length;
+  elements.queueList.innerHTML = '';
+
+  queue.forEach((entry, index) => {
+    const item = document.createElement('div');
+    item.className = 'queue-item';
+
+    const info = document.createElement('div');
+    info.className = 'queue-info';
+
+    const name = document.createElement('div');
+    name.className = 'queue-name';
+    name.textContent = `${index + 1}. ${entry.name}`;
+    name.title = entry.name;
+
+    const when = document.createElement('div');
+    when.className = `queue-when${entry.error ? ' error' : ''}`;
+    if (entry.error) {
+      when.textContent = `Could not start: ${entry.error}`;
+    } else if (entry.startAt) {
+      when.textContent = `${entry.total} scenes, starts ${new Date(entry.startAt).toLocaleString()}`;
+    } else {
+      when.textContent = `${entry.total} scenes, ${index === 0 ? 'next' : 'after the one above'}`;
+    }
+    info.append(name, when);
+
+    const up = document.createElement('button');
+    up.className = 'btn btn-small';
+    up.textContent = '\u2191';
+    up.title = 'Move up';
+    up.disabled = index === 0;
+    up.addEventListener('click', () => changeQueue(entry.id, -1));
+
+    const down = document.createElement('button');
+    down.className = 'btn btn-small';
+    down.textContent = '\u2193';
+    down.title = 'Move down';
+    down.disabled = index === queue.length - 1;
+    down.addEventListener('click', () => changeQueue(entry.id, 1));
+
+    const remove = document.createElement('button');
+    remove.className = 'btn-remove';
+    remove.textContent = 'Cancel';
+    remove.addEventListener('click', () => changeQueue(entry.id, null));
+
+    item.append(info, up, down, remove);
+    elements.queueList.appendChild(item);
+  });
+}
+
+/**
+ * Run the failed scenes of the last generation again
+ */
+async function rerunFailedScenes() {
+  const response = await sendToBackground({ action: 'RERUN_FAILED' });
+
+  if (!response || !response.success) {
+    log(`Could not re-run failed scenes: ${(response && response.error) || 'no response'}`, 'error');
+    return;
+  }
+
+  log(`Re-running ${response.job.total} failed scene(s)...`, 'info');
+  applyJobStatus(response.job);
+}
+
 /**
  * Pause the generation process
  */
@@ -251,7 +980,7 @@ async function pauseGeneration() {
   updateControlButtons();
   log('Generation paused', 'warning');
 
-  await sendToContentScript({ action: 'PAUSE_GENERATION' });
+  await sendToBackground({ action: 'PAUSE_GENERATION' });
   saveState();
 }
 
@@ -264,7 +993,7 @@ async function resumeGeneration() {
   log('Generation resumed', 'info');
   updateConnectionStatus('processing');
 
-  await sendToContentScript({ action: 'RESUME_GENERATION' });
+  await sendToBackground({ action: 'RESUME_GENERATION' });
   saveState();
 }
 
@@ -278,38 +1007,92 @@ async function stopGeneration() {
   updateConnectionStatus('connected');
   log('Generation stopped', 'warning');
 
-  await sendToContentScript({ action: 'STOP_GENERATION' });
+  await sendToBackground({ action: 'STOP_GENERATION' });
   saveState();
 }
 
+/**
+ * Warn about filename template problems
+ * @returns {boolean} True when the template only uses known tokens
+ */
+function validateFilenameTemplate() {
+  const template = getFilenameTemplate();
+  const unknown = (template.match(/\{(\w+)\}/g) || [])
+    .filter(token => !FILENAME_TOKENS.includes(token));
+
+  if (unknown.length > 0) {
+    log(`Unknown filename token(s): ${unknown.join(', ')}`, 'warning');
+    return false;
+  }
+
+  if (!template.includes('{scene}') && !template.includes('{slug}')) {
+    log('Filename template has no {scene} or {slug}; images will share a name and get a number added', 'warning');
+  }
+
+  return true;
+}
+
+/**
+ * Get the filename template, falling back to the default
+ */
+function getFilenameTemplate() {
+  return elements.filenameTemplate.value.trim() || 'story_{scene}';
+}
+
 /**
  * Download all generated images
  */
 async function downloadAllImages() {
-  log('Fetching images from page...', 'info');
-
-  const response = await sendToContentScript({ action: 'GET_ALL_IMAGES' });
+  // The background worker downloads what the run ledger recorded
+  const response = await sendToBackground({
+    action: 'DOWNLOAD_RUN',
+    data: getDownloadOptions()
+  });
 
-  if (!response || !response.images || response.images.length === 0) {
-    log('No images found to download', 'warning');
+  if (!response || !response.success) {
+    log((response && response.error) || 'No images found to download', 'warning');
     return;
   }
 
-  const images = response.images;
-  const prefix = elements.filenamePrefix.value || 'story';
-  const delay = parseInt(elements.settingDownloadDelay.value) || 500;
+  log(`Starting download of ${response.total} images...`, 'info');
+}
 
-  log(`Starting download of ${images.length} images...`, 'info');
+/**
+ * Download options as set under the download buttons
+ * @returns {{template: string, subfolder: boolean, alternates: boolean, delay: number}}
+ */
+function getDownloadOptions() {
+  return {
+    template: getFilenameTemplate(),
+    subfolder: elements.downloadSubfolder.checked,
+    alternates: elements.downloadAlternates.checked,
+    delay: parseInt(elements.settingDownloadDelay.value) || 500
+  };
+}
+
+/**
+ * Download the last run as a single ZIP with a manifest and prompts.csv
+ */
+async function downloadZip() {
+  elements.btnDownloadZip.disabled = true;
+  log('Preparing ZIP export...', 'info');
 
-  // Send download request to background script
-  chrome.runtime.sendMessage({
-    action: 'DOWNLOAD_IMAGES',
+  const response = await sendToBackground({
+    action: 'EXPORT_ZIP',
     data: {
-      images: images,
-      prefix: prefix,
-      delay: delay
+      template: getFilenameTemplate(),
+      alternates: elements.downloadAlternates.checked
     }
   });
+
+  elements.btnDownloadZip.disabled = false;
+
+  if (!response || !response.success) {
+    log(`ZIP export failed: ${(response && response.error) || 'no response'}`, 'error');
+    return;
+  }
+
+  log(`Saved ${response.filename} (${response.total} images)`, 'success');
 }
 
 /**
@@ -321,23 +1104,114 @@ function updateControlButtons() {
   elements.btnResume.hidden = !state.isRunning || !state.isPaused;
   elements.btnStop.hidden = !state.isRunning;
 
+  const failed = state.lastJob ? state.lastJob.ledger.filter(entry => entry.status === 'failed').length : 0;
+  elements.failedCount.textContent = failed;
+  elements.btnRerunFailed.hidden = state.isRunning || failed === 0;
+
+  elements.runMode.disabled = state.isRunning;
+  elements.runFrom.disabled = state.isRunning;
+  elements.runTo.disabled = state.isRunning;
+
   elements.promptsInput.disabled = state.isRunning;
+  elements.btnImportStoryboard.disabled = state.isRunning;
+  elements.btnClearStoryboard.disabled = state.isRunning;
   elements.characterUploadArea.style.pointerEvents = state.isRunning ? 'none' : 'auto';
+  elements.characterName.disabled = state.isRunning;
+  elements.characterList.querySelectorAll('.btn-remove').forEach(btn => {
+    btn.disabled = state.isRunning;
+  });
 }
 
 /**
  * Update progress display
  */
-function updateProgress(current) {
-  const total = state.prompts.length;
+function updateProgress(current, total, scene = null) {
   const percentage = total > 0 ? (current / total) * 100 : 0;
 
   elements.progressCurrent.textContent = current;
+  elements.progressTotal.textContent = total;
   elements.progressFill.style.width = `${percentage}%`;
 
-  if (current > 0 && current <= state.prompts.length) {
-    elements.currentPrompt.textContent = `"${state.prompts[current - 1].substring(0, 50)}..."`;
+  if (scene) {
+    const label = scene.title ? `${scene.title}: ` : '';
+    elements.currentPrompt.textContent = `Scene ${scene.sceneNumber} - ${label}"${scene.prompt.substring(0, 50)}..."`;
+  }
+}
+
+/**
+ * Render one cell per scene from the run ledger
+ * @param {Object} job - Job summary
+ */
+function renderLedger(job) {
+  elements.sceneLedger.innerHTML = '';
+
+  job.ledger.forEach((entry, index) => {
+    const scene = job.scenes[index];
+    const cell = document.createElement('span');
+    cell.className = `ledger-cell ${entry.status}`;
+    cell.textContent = index + 1;
+
+    const details = [`Scene ${index + 1}${scene.title ? ` (${scene.title})` : ''}: ${entry.status}`];
+    if (entry.attempts) details.push(`${entry.attempts} attempt(s)`);
+    if (entry.images) details.push(`${entry.images} image(s)`);
+    if (entry.images > 1 && typeof entry.selected === 'number') details.push(`variant ${entry.selected + 1} continues the chain`);
+    if (entry.references && entry.references.expected) {
+      details.push(`${entry.references.confirmed}/${entry.references.expected} reference image(s) attached`);
+    }
+    if (entry.startedAt && entry.endedAt) {
+      details.push(`${Math.round((entry.endedAt - entry.startedAt) / 1000)}s`);
+    }
+    if (entry.status === 'failed' && entry.failure) {
+      details.push(`${entry.failure.type}: ${entry.failure.message}`);
+    }
+    cell.title = `${details.join(', ')}\n${scene.prompt}`;
+
+    elements.sceneLedger.appendChild(cell);
+  });
+}
+
+/**
+ * Reflect the background job status in the popup
+ * @param {Object} job - Job summary from the background service worker
+ */
+function applyJobStatus(job) {
+  const wasRunning = state.isRunning;
+  // Null for the first status after the popup opens
+  const previousStatus = state.lastJob ? state.lastJob.status : null;
+  state.lastJob = job;
+  state.isRunning = job.status === 'running' || job.status === 'paused';
+  state.isPaused = job.status === 'paused';
+
+  elements.progressSection.hidden = false;
+  renderLedger(job);
+
+  if (state.isRunning) {
+    const index = job.currentIndex;
+    const scene = index !== null ? { ...job.scenes[index], sceneNumber: index + 1 } : null;
+
+    updateProgress(job.position, job.total, scene);
+    updateConnectionStatus(state.isPaused ? 'connected' : 'processing');
+
+    if (job.review !== null && !state.isPaused) {
+      elements.statusText.textContent = `Waiting for review of scene ${job.review + 1}`;
+    }
+
+    if (!wasRunning && scene) {
+      log(`Generation in progress: scene ${scene.sceneNumber} (${job.position + 1}/${job.total})${state.isPaused ? ' (paused)' : ''}`, 'info');
+    }
+  } else {
+    updateProgress(job.position, job.total);
+    if (wasRunning) {
+      updateConnectionStatus('connected');
+    }
+  }
+
+  // Once, when this popup sees the run pause; the activity log keeps it
+  if (job.status === 'paused' && previousStatus && previousStatus !== 'paused' && job.reason) {
+    log(`Generation paused: ${job.reason}`, 'warning');
   }
+
+  updateControlButtons();
 }
 
 /**
@@ -365,8 +1239,8 @@ function updateConnectionStatus(status) {
 function handleMessage(message, sender, sendResponse) {
   switch (message.action) {
     case 'PROGRESS_UPDATE':
-      updateProgress(message.data.current);
-      log(`Completed ${message.data.current}/${message.data.total}: ${message.data.prompt.substring(0, 40)}...`, 'success');
+      updateProgress(message.data.current, message.data.total, message.data);
+      log(`Completed ${message.data.current}/${message.data.total} (scene ${message.data.sceneNumber}): ${message.data.prompt.substring(0, 40)}...`, 'success');
       break;
 
     case 'GENERATION_COMPLETE':
@@ -389,8 +1263,18 @@ function handleMessage(message, sender, sendResponse) {
       }
       break;
 
-    case 'LOG':
-      log(message.data.message, message.data.type || 'info');
+    case 'JOB_STATUS':
+      if (message.data) {
+        applyJobStatus(message.data);
+      }
+      break;
+
+    case 'QUEUE_STATUS':
+      renderQueue(message.data);
+      break;
+
+    case 'LOG_EVENT':
+      handleLogEvent(message.data);
       break;
 
     case 'DOWNLOAD_PROGRESS':
@@ -405,6 +1289,8 @@ function handleMessage(message, sender, sendResponse) {
 
 /**
  * Send message to content script
+ * @param {Object} message - { action, data }
+ * @returns {Promise<Object|null>} Answer, or null when it could not be sent
  */
 async function sendToContentScript(message) {
   if (!state.tabId) {
@@ -413,8 +1299,25 @@ async function sendToContentScript(message) {
   }
 
   try {
-    const response = await chrome.tabs.sendMessage(state.tabId, message);
-    return response;
+    return await sendMessage(message.action, message.data, { tabId: state.tabId });
+  } catch (error) {
+    if (error.code === 'no-receiver') {
+      log('The Flow page has no content script yet - reload the Flow tab and try again', 'error');
+    } else {
+      log(`Communication error: ${error.message}`, 'error');
+    }
+    return null;
+  }
+}
+
+/**
+ * Send message to the background service worker
+ * @param {Object} message - { action, data }
+ * @returns {Promise<Object|null>} Answer, or null when it could not be sent
+ */
+async function sendToBackground(message) {
+  try {
+    return await sendMessage(message.action, message.data);
   } catch (error) {
     log(`Communication error: ${error.message}`, 'error');
     return null;
@@ -429,37 +1332,244 @@ function getSettings() {
     timeout: parseInt(elements.settingTimeout.value) * 1000,
     delay: parseInt(elements.settingDelay.value),
     retries: parseInt(elements.settingRetries.value),
-    downloadDelay: parseInt(elements.settingDownloadDelay.value)
+    downloadDelay: parseInt(elements.settingDownloadDelay.value),
+    tabs: Math.min(Math.max(parseInt(elements.settingParallelTabs.value) || 1, 1), 4),
+    chainStrategy: elements.settingChainStrategy.value,
+    reviewMode: elements.settingReviewMode.checked,
+    dryRun: elements.settingDryRun.checked,
+    dailyBudget: Math.max(parseInt(elements.settingDailyBudget.value) || 0, 0),
+    runBudget: Math.max(parseInt(elements.settingRunBudget.value) || 0, 0)
   };
 }
 
 /**
- * Log message to activity log
+ * Put settings into the Advanced Settings inputs
+ * @param {Object} settings - Settings as returned by getSettings
+ */
+function applySettings(settings) {
+  elements.settingTimeout.value = settings.timeout / 1000;
+  elements.settingDelay.value = settings.delay;
+  elements.settingRetries.value = settings.retries;
+  elements.settingDownloadDelay.value = settings.downloadDelay;
+  elements.settingParallelTabs.value = settings.tabs || 1;
+  elements.settingChainStrategy.value = settings.chainStrategy || 'first';
+  elements.settingReviewMode.checked = !!settings.reviewMode;
+  elements.settingDryRun.checked = !!settings.dryRun;
+  elements.settingDailyBudget.value = settings.dailyBudget || 0;
+  elements.settingRunBudget.value = settings.runBudget || 0;
+}
+
+/**
+ * Show how many generations were started today (counts toward the daily budget)
+ */
+async function showUsage() {
+  const response = await sendToBackground({ action: 'GET_USAGE' });
+  if (response && response.usage) {
+    elements.usageToday.textContent = response.usage.generations;
+  }
+}
+
+/**
+ * Log message to activity log. The background service worker keeps it in
+ * the run's log and sends it back as LOG_EVENT.
  */
 function log(message, type = 'info') {
-  const entry = document.createElement('div');
-  entry.className = `log-entry ${type}`;
+  sendEvent('LOG', { message, type }).then(delivered => {
+    if (delivered) return;
+
+    // No service worker to keep it; show it here only
+    const time = Date.now();
+    handleLogEvent({
+      id: `popup_${time}_${Math.random().toString(36).slice(2, 8)}`,
+      time,
+      level: logLevel(type),
+      type,
+      message,
+      scene: null,
+      attempt: null,
+      source: 'popup',
+      runId: state.log.shownId
+    });
+  });
+}
 
-  const timestamp = new Date().toLocaleTimeString();
-  entry.textContent = `[${timestamp}] ${message}`;
+/**
+ * Load the log chosen in the run selector and show it
+ */
+async function loadLog() {
+  state.log.loading = true;
+  let response = null;
+  try {
+    response = await sendMessage('GET_LOGS', { logId: state.log.logId || null });
+  } catch (error) {
+    console.error('[Flow Story Generator] Could not load the activity log:', error);
+  }
+  state.log.loading = false;
 
-  elements.logContainer.appendChild(entry);
-  elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
+  if (response) {
+    state.log.shownId = response.logId;
+    state.log.entries = response.entries;
+    state.log.ids = new Set(response.entries.map(entry => entry.id));
+    renderLogRuns(response.runs);
+  }
+
+  const pending = state.log.pending;
+  state.log.pending = [];
+  renderLog();
+  pending.forEach(handleLogEvent);
+}
 
-  // Keep only last 100 entries
-  while (elements.logContainer.children.length > 100) {
-    elements.logContainer.removeChild(elements.logContainer.firstChild);
+/**
+ * Fill the run selector
+ * @param {Array} runs - { id, name, createdAt, current }, newest first
+ */
+function renderLogRuns(runs) {
+  elements.logRun.innerHTML = '';
+
+  const label = (run) => {
+    if (run.id === LOG_NO_RUN) return 'Before the first run';
+    const date = run.createdAt ? ` (${new Date(run.createdAt).toLocaleString()})` : '';
+    return `${run.name || run.id}${date}`;
+  };
+
+  const current = runs.find(run => run.current);
+  elements.logRun.appendChild(new Option(current ? `Current: ${label(current)}` : 'Current run', ''));
+  runs.filter(run => !run.current).forEach(run => {
+    elements.logRun.appendChild(new Option(label(run), run.id));
+  });
+
+  elements.logRun.value = state.log.logId;
+  if (elements.logRun.value !== state.log.logId) {
+    // That run's log is gone; follow the current run again
+    state.log.logId = '';
+    elements.logRun.value = '';
+  }
+}
+
+/**
+ * Add an entry sent by the background service worker
+ * @param {Object} entry - Log entry
+ */
+function handleLogEvent(entry) {
+  if (state.log.loading) {
+    state.log.pending.push(entry);
+    return;
+  }
+  if (state.log.ids.has(entry.id)) return;
+
+  const logId = entry.runId || LOG_NO_RUN;
+  if (logId !== state.log.shownId) {
+    // A new run started: switch to its log when following the current run
+    if (!state.log.logId) loadLog();
+    return;
   }
+
+  state.log.entries.push(entry);
+  state.log.ids.add(entry.id);
+  if (matchesLogFilter(entry, elements.logLevel.value, elements.logSearch.value.trim())) {
+    elements.logContainer.appendChild(renderLogEntry(entry));
+    while (elements.logContainer.children.length > LOG_DISPLAY_LIMIT) {
+      elements.logContainer.removeChild(elements.logContainer.firstChild);
+    }
+    elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
+  }
+  updateLogCount();
+}
+
+/**
+ * Entries of the shown log that match the filter
+ * @returns {Array}
+ */
+function getFilteredLog() {
+  const minLevel = elements.logLevel.value;
+  const search = elements.logSearch.value.trim();
+  return state.log.entries.filter(entry => matchesLogFilter(entry, minLevel, search));
+}
+
+/**
+ * Build the line of one log entry
+ * @param {Object} entry - Log entry
+ * @returns {HTMLElement}
+ */
+function renderLogEntry(entry) {
+  const line = document.createElement('div');
+  line.className = `log-entry ${entry.type}`;
+  line.title = `${entry.level} from ${entry.source}`;
+  line.append(`[${new Date(entry.time).toLocaleTimeString()}] `);
+
+  const tag = logEntryTag(entry);
+  if (tag) {
+    const span = document.createElement('span');
+    span.className = 'log-tag';
+    span.textContent = `[${tag}] `;
+    line.appendChild(span);
+  }
+
+  line.append(entry.message);
+  return line;
 }
 
 /**
- * Clear activity log
+ * Show the shown log's entries that match the filter
  */
-function clearLog() {
+function renderLog() {
+  const entries = getFilteredLog().slice(-LOG_DISPLAY_LIMIT);
   elements.logContainer.innerHTML = '';
+  entries.forEach(entry => elements.logContainer.appendChild(renderLogEntry(entry)));
+  elements.logContainer.scrollTop = elements.logContainer.scrollHeight;
+  updateLogCount();
+}
+
+/**
+ * Show how many entries match the filter
+ */
+function updateLogCount() {
+  const total = state.log.entries.length;
+  const matching = getFilteredLog().length;
+  const hidden = matching > LOG_DISPLAY_LIMIT ? `, the latest ${LOG_DISPLAY_LIMIT} shown` : '';
+  elements.logCount.textContent = matching === total
+    ? `${total} entries${hidden}`
+    : `${matching} of ${total} entries match${hidden}`;
+}
+
+/**
+ * Clear the shown log
+ */
+async function clearLog() {
+  const response = await sendToBackground({ action: 'CLEAR_LOGS', data: { logId: state.log.shownId } });
+  if (response && response.success) {
+    await loadLog();
+  }
   log('Log cleared', 'info');
 }
 
+/**
+ * Save every entry of the shown log that matches the filter (not only the
+ * latest shown), e.g. for a bug report
+ * @param {string} format - 'jsonl' | 'text'
+ */
+function exportLog(format) {
+  const entries = getFilteredLog();
+  if (entries.length === 0) {
+    log('No log entries to export', 'warning');
+    return;
+  }
+
+  const content = format === 'jsonl'
+    ? entries.map(entry => JSON.stringify(entry)).join('\n')
+    : entries.map(formatLogEntry).join('\n');
+  const blob = new Blob([`${content}\n`], { type: format === 'jsonl' ? 'application/x-ndjson' : 'text/plain' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `flow-story-log-${state.log.shownId}.${format === 'jsonl' ? 'jsonl' : 'txt'}`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  log(`Exported ${entries.length} log entries`, 'success');
+}
+
 /**
  * Scan the page for available elements (for debugging)
  */
@@ -488,15 +1598,334 @@ async function scanPage() {
   }
 }
 
+/**
+ * Test every selector role against the page and log the result
+ * @param {boolean} interactive - Let the check open the add ingredient dialog
+ * @returns {Promise<Object|null>} Health report, or null if the page didn't answer
+ */
+async function runHealthCheck(interactive) {
+  log('Running selector health check...', 'info');
+
+  const response = await sendToContentScript({ action: 'HEALTH_CHECK', data: { interactive } });
+  if (!response || !response.success) {
+    log('Health check failed - make sure you are on Google Flow', 'error');
+    return null;
+  }
+
+  response.checks.forEach(check => {
+    if (check.status === 'pass') {
+      log(`  PASS ${check.label}: ${check.selector} (${check.count})`, 'success');
+    } else if (check.status === 'skip') {
+      log(`  SKIP ${check.label}: ${check.detail}`, 'info');
+    } else {
+      log(`  FAIL ${check.label}${check.required ? '' : ' (optional)'}`, check.required ? 'error' : 'warning');
+      check.candidates.forEach(candidate => log(`    candidate: ${candidate}`, 'debug'));
+    }
+  });
+
+  const failed = response.checks.filter(check => check.status === 'fail').length;
+  log(`Health check (${response.profile}): ${failed === 0 ? 'all roles found' : `${failed} role(s) not found`}`,
+    failed === 0 ? 'success' : 'warning');
+
+  return response;
+}
+
+/**
+ * Show the active selector profile
+ * @param {Object} profile - Selector profile
+ */
+function showSelectorProfile(profile) {
+  elements.selectorProfileName.textContent = `${profile.name} v${profile.version}`;
+  elements.selectorProfile.value = JSON.stringify(profile, null, 2);
+}
+
+/**
+ * Load the saved selector profile, or the built-in default
+ */
+async function loadSelectorProfile() {
+  const result = await chrome.storage.local.get(SELECTOR_STORAGE_KEY);
+  showSelectorProfile(result[SELECTOR_STORAGE_KEY] || DEFAULT_SELECTOR_PROFILE);
+}
+
+/**
+ * Validate and store a selector profile; the content script picks it up
+ * without a reload
+ * @param {Object} raw - Profile object
+ * @param {string} source - Where it came from, for the log
+ * @returns {Promise<boolean>}
+ */
+async function storeSelectorProfile(raw, source) {
+  const { profile, errors } = normalizeSelectorProfile(raw);
+  if (!profile) {
+    log(`Selector profile from ${source} is invalid, not saved:`, 'error');
+    errors.forEach(error => log(`  ${error}`, 'error'));
+    return false;
+  }
+
+  profile.updatedAt = new Date().toISOString();
+  await chrome.storage.local.set({ [SELECTOR_STORAGE_KEY]: profile });
+  showSelectorProfile(profile);
+  log(`Selector profile saved: ${profile.name} v${profile.version}`, 'success');
+  return true;
+}
+
+/**
+ * Save the profile edited in the textarea as a new version
+ */
+async function saveSelectorProfile() {
+  let raw;
+  try {
+    raw = JSON.parse(elements.selectorProfile.value);
+  } catch (error) {
+    log(`Selector profile is not valid JSON: ${error.message}`, 'error');
+    return;
+  }
+
+  const result = await chrome.storage.local.get(SELECTOR_STORAGE_KEY);
+  const current = result[SELECTOR_STORAGE_KEY] || DEFAULT_SELECTOR_PROFILE;
+  if (raw && typeof raw === 'object') {
+    raw.version = current.version + 1;
+    if (!raw.name || raw.name === DEFAULT_SELECTOR_PROFILE.name) raw.name = 'Custom';
+  }
+
+  await storeSelectorProfile(raw, 'the editor');
+}
+
+/**
+ * Import a selector profile from a JSON file
+ */
+function importSelectorProfile(file) {
+  const reader = new FileReader();
+  reader.onload = (e) => {
+    let raw;
+    try {
+      raw = JSON.parse(e.target.result);
+    } catch (error) {
+      log(`${file.name} is not valid JSON: ${error.message}`, 'error');
+      return;
+    }
+    storeSelectorProfile(raw, file.name);
+  };
+  reader.onerror = () => {
+    log(`Could not read ${file.name}`, 'error');
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Export the active selector profile as a JSON file
+ */
+async function exportSelectorProfile() {
+  const result = await chrome.storage.local.get(SELECTOR_STORAGE_KEY);
+  const profile = result[SELECTOR_STORAGE_KEY] || DEFAULT_SELECTOR_PROFILE;
+  const blob = new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `flow-selectors-v${profile.version}.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  log(`Exported selector profile ${profile.name} v${profile.version}`, 'success');
+}
+
+/**
+ * Go back to the built-in selector profile
+ */
+async function resetSelectorProfile() {
+  await chrome.storage.local.remove(SELECTOR_STORAGE_KEY);
+  showSelectorProfile(DEFAULT_SELECTOR_PROFILE);
+  log('Selector profile reset to default', 'info');
+}
+
+/**
+ * Load the user's presets and show the one matching the current settings
+ */
+async function loadPresets() {
+  const result = await chrome.storage.local.get(PRESET_STORAGE_KEY);
+  state.presets = [...BUILT_IN_PRESETS, ...(result[PRESET_STORAGE_KEY] || [])];
+  renderPresets();
+}
+
+/**
+ * Store the user's presets (everything but the built-in ones)
+ */
+async function storePresets() {
+  const custom = state.presets.filter(preset => !isBuiltInPreset(preset.name));
+  await chrome.storage.local.set({ [PRESET_STORAGE_KEY]: custom });
+}
+
+/**
+ * Fill the preset selector
+ */
+function renderPresets() {
+  elements.settingPreset.innerHTML = '';
+
+  state.presets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.name;
+    option.textContent = isBuiltInPreset(preset.name) ? `${preset.name} (built-in)` : preset.name;
+    elements.settingPreset.appendChild(option);
+  });
+
+  // Shown while the settings don't match any preset
+  const custom = document.createElement('option');
+  custom.value = '';
+  custom.textContent = 'Custom';
+  elements.settingPreset.appendChild(custom);
+
+  updatePresetSelection();
+}
+
+/**
+ * Select the preset matching the current settings, or "Custom"
+ */
+function updatePresetSelection() {
+  const preset = findMatchingPreset(state.presets, getSettings());
+  elements.settingPreset.value = preset ? preset.name : '';
+  elements.btnDeletePreset.disabled = !preset || isBuiltInPreset(preset.name);
+}
+
+/**
+ * Name of the preset matching the current settings, attached to new jobs
+ * @returns {string|null}
+ */
+function getPresetName() {
+  return elements.settingPreset.value || null;
+}
+
+/**
+ * Switch the Advanced Settings to a preset
+ * @param {string} name - Preset name ('' for Custom, which changes nothing)
+ */
+function applyPreset(name) {
+  const preset = state.presets.find(candidate => candidate.name === name);
+  if (!preset) return;
+
+  applySettings(preset.settings);
+  updatePresetSelection();
+  saveState();
+  log(`Settings preset "${preset.name}" applied`, 'info');
+}
+
+/**
+ * Save the current settings as a preset, replacing one with the same name
+ */
+async function savePreset() {
+  const name = elements.presetName.value.trim();
+  if (!name) {
+    log('Enter a name for the preset', 'error');
+    return;
+  }
+  if (isBuiltInPreset(name)) {
+    log(`"${name}" is a built-in preset, choose another name`, 'error');
+    return;
+  }
+
+  const { preset, errors } = normalizeSettingsPreset({ name, settings: getSettings() });
+  if (!preset) {
+    log('Fix the settings before saving them as a preset:', 'error');
+    errors.forEach(error => log(`  ${error}`, 'error'));
+    return;
+  }
+
+  state.presets = [...state.presets.filter(candidate => candidate.name !== name), preset];
+  await storePresets();
+  renderPresets();
+  elements.presetName.value = '';
+  log(`Settings preset "${name}" saved`, 'success');
+}
+
+/**
+ * Delete the selected preset (built-in presets can't be deleted)
+ */
+async function deletePreset() {
+  const name = elements.settingPreset.value;
+  if (!name || isBuiltInPreset(name)) return;
+
+  state.presets = state.presets.filter(preset => preset.name !== name);
+  await storePresets();
+  renderPresets();
+  log(`Settings preset "${name}" deleted`, 'info');
+}
+
+/**
+ * Import presets from a JSON file, replacing presets with the same name
+ */
+function importPresets(file) {
+  const reader = new FileReader();
+  reader.onload = async (e) => {
+    let raw;
+    try {
+      raw = JSON.parse(e.target.result);
+    } catch (error) {
+      log(`${file.name} is not valid JSON: ${error.message}`, 'error');
+      return;
+    }
+
+    const { presets, errors } = parsePresetFile(raw);
+    if (errors.length > 0) {
+      log(`${file.name} has ${errors.length} error(s), nothing imported:`, 'error');
+      errors.forEach(error => log(`  ${error}`, 'error'));
+      return;
+    }
+
+    const imported = presets.filter(preset => !isBuiltInPreset(preset.name));
+    if (imported.length < presets.length) {
+      log('Presets named like a built-in preset were skipped', 'warning');
+    }
+
+    const names = imported.map(preset => preset.name);
+    state.presets = [...state.presets.filter(preset => !names.includes(preset.name)), ...imported];
+    await storePresets();
+    renderPresets();
+    log(`Imported ${imported.length} preset(s) from ${file.name}`, 'success');
+  };
+  reader.onerror = () => {
+    log(`Could not read ${file.name}`, 'error');
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Export the user's presets as a JSON file
+ */
+function exportPresets() {
+  const presets = state.presets.filter(preset => !isBuiltInPreset(preset.name));
+  if (presets.length === 0) {
+    log('No presets of your own to export yet; save one first', 'warning');
+    return;
+  }
+
+  const blob = new Blob([JSON.stringify({ presets }, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = 'flow-settings-presets.json';
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  log(`Exported ${presets.length} preset(s)`, 'success');
+}
+
 /**
  * Save state to storage
  */
 async function saveState() {
+  if (state.restoring) return;
+
   const stateToSave = {
-    characterImageData: state.characterImageData,
+    characters: state.characters,
     prompts: elements.promptsInput.value,
+    storyboard: state.storyboard,
+    template: getTemplate(),
     settings: getSettings(),
-    filenamePrefix: elements.filenamePrefix.value
+    filenameTemplate: elements.filenameTemplate.value,
+    downloadSubfolder: elements.downloadSubfolder.checked,
+    downloadAlternates: elements.downloadAlternates.checked,
+    imageOptions: getImageOptions()
   };
 
   await chrome.storage.local.set({ flowStoryState: stateToSave });
@@ -510,35 +1939,68 @@ async function loadState() {
   const savedState = result.flowStoryState;
 
   if (savedState) {
-    // Restore character image
-    if (savedState.characterImageData) {
-      state.characterImageData = savedState.characterImageData;
-      elements.uploadPreview.hidden = true;
-      elements.characterPreview.src = savedState.characterImageData;
-      elements.characterPreview.hidden = false;
-      elements.removeCharacter.hidden = false;
+    state.restoring = true;
+    try {
+      restoreState(savedState);
+    } finally {
+      state.restoring = false;
     }
+    await saveState();
 
-    // Restore prompts
-    if (savedState.prompts) {
-      elements.promptsInput.value = savedState.prompts;
-      updatePromptCount();
-    }
+    log('Previous session restored', 'info');
+  }
+}
 
-    // Restore settings
-    if (savedState.settings) {
-      elements.settingTimeout.value = savedState.settings.timeout / 1000;
-      elements.settingDelay.value = savedState.settings.delay;
-      elements.settingRetries.value = savedState.settings.retries;
-      elements.settingDownloadDelay.value = savedState.settings.downloadDelay;
-    }
+/**
+ * Put a saved session back into the form
+ * @param {Object} savedState - Saved flowStoryState
+ */
+function restoreState(savedState) {
+  // Restore character library
+  if (savedState.characters) {
+    state.characters = savedState.characters;
+  } else if (savedState.characterImageData) {
+    // Single character image from earlier versions
+    state.characters = [{ name: 'character', images: [savedState.characterImageData] }];
+    log('Previous character image moved to the library as @character', 'info');
+  }
+  renderCharacterList();
+
+  // Restore prompts or imported storyboard
+  if (savedState.storyboard) {
+    state.storyboard = savedState.storyboard;
+    applyStoryboard();
+  } else if (savedState.prompts) {
+    elements.promptsInput.value = savedState.prompts;
+    updatePromptCount();
+  }
 
-    // Restore filename prefix
-    if (savedState.filenamePrefix) {
-      elements.filenamePrefix.value = savedState.filenamePrefix;
-    }
+  // Restore prompt template
+  if (savedState.template) {
+    elements.templatePrefix.value = savedState.template.prefix || '';
+    elements.templateSuffix.value = savedState.template.suffix || '';
+    elements.templateVariables.value = savedState.template.variables || '';
+  }
 
-    log('Previous session restored', 'info');
+  // Restore settings
+  if (savedState.settings) {
+    applySettings(savedState.settings);
+  }
+
+  // Restore download options (older versions saved only a prefix)
+  if (savedState.filenameTemplate) {
+    elements.filenameTemplate.value = savedState.filenameTemplate;
+  } else if (savedState.filenamePrefix) {
+    elements.filenameTemplate.value = `${savedState.filenamePrefix}_{scene}`;
+  }
+  if (savedState.downloadSubfolder !== undefined) {
+    elements.downloadSubfolder.checked = savedState.downloadSubfolder;
+  }
+  if (savedState.downloadAlternates !== undefined) {
+    elements.downloadAlternates.checked = savedState.downloadAlternates;
+  }
+  if (savedState.imageOptions) {
+    applyImageOptions(savedState.imageOptions);
   }
 }
 
@@ -0,0 +1,143 @@
+/**
+ * Flow Story Generator - Settings Presets
+ * Named sets of Advanced Settings (timeouts, pacing, tabs, budgets) to
+ * switch between and to share as JSON
+ */
+
+const PRESET_STORAGE_KEY = 'flowSettingsPresets';
+
+// Every setting a preset holds, with the limits of its Advanced Settings
+// input. Times are in milliseconds, as in getSettings.
+const PRESET_FIELDS = {
+  timeout: { min: 30000, max: 180000 },
+  delay: { min: 500, max: 10000 },
+  retries: { min: 1, max: 5 },
+  downloadDelay: { min: 200, max: 2000 },
+  tabs: { min: 1, max: 4 },
+  chainStrategy: { values: ['first', 'last'] },
+  reviewMode: { values: [true, false] },
+  dryRun: { values: [true, false] },
+  dailyBudget: { min: 0, max: Infinity },
+  runBudget: { min: 0, max: Infinity }
+};
+
+// Shipped with the extension; they can't be changed or deleted
+const BUILT_IN_PRESETS = [
+  {
+    name: 'Default',
+    settings: {
+      timeout: 60000, delay: 2000, retries: 3, downloadDelay: 500, tabs: 1,
+      chainStrategy: 'first', reviewMode: false, dryRun: false, dailyBudget: 0, runBudget: 0
+    }
+  },
+  {
+    name: 'Fast draft',
+    settings: {
+      timeout: 45000, delay: 1000, retries: 1, downloadDelay: 300, tabs: 3,
+      chainStrategy: 'first', reviewMode: false, dryRun: false, dailyBudget: 0, runBudget: 0
+    }
+  },
+  {
+    name: 'Overnight safe',
+    settings: {
+      timeout: 120000, delay: 6000, retries: 3, downloadDelay: 1000, tabs: 1,
+      chainStrategy: 'first', reviewMode: false, dryRun: false, dailyBudget: 0, runBudget: 0
+    }
+  }
+];
+
+/**
+ * Check whether a name belongs to a built-in preset
+ * @param {string} name - Preset name
+ * @returns {boolean}
+ */
+function isBuiltInPreset(name) {
+  return BUILT_IN_PRESETS.some(preset => preset.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Validate a preset (as saved or imported by the user). Settings it
+ * doesn't have come from the Default preset.
+ * @param {Object} raw - { name, settings }
+ * @returns {{preset: Object|null, errors: string[]}}
+ */
+function normalizeSettingsPreset(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { preset: null, errors: ['Preset must be an object'] };
+  }
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) {
+    return { preset: null, errors: ['Preset must have a "name"'] };
+  }
+
+  const label = `Preset "${name}"`;
+  const source = raw.settings;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return { preset: null, errors: [`${label}: must have a "settings" object`] };
+  }
+
+  const errors = [];
+  Object.keys(source)
+    .filter(field => !(field in PRESET_FIELDS))
+    .forEach(field => errors.push(`${label}: unknown setting "${field}"`));
+
+  const settings = {};
+  Object.entries(PRESET_FIELDS).forEach(([field, rule]) => {
+    const value = field in source ? source[field] : BUILT_IN_PRESETS[0].settings[field];
+
+    if (rule.values) {
+      if (!rule.values.includes(value)) {
+        errors.push(`${label}: "${field}" must be one of ${rule.values.join(', ')}`);
+      }
+    } else if (!Number.isInteger(value) || value < rule.min || value > rule.max) {
+      const range = rule.max === Infinity ? `at least ${rule.min}` : `between ${rule.min} and ${rule.max}`;
+      errors.push(`${label}: "${field}" must be a whole number ${range}`);
+    }
+
+    settings[field] = value;
+  });
+
+  if (errors.length > 0) {
+    return { preset: null, errors };
+  }
+
+  return { preset: { name, settings }, errors };
+}
+
+/**
+ * Read the presets of an exported file: one preset, a list of presets or
+ * { presets: [...] }
+ * @param {*} raw - Parsed JSON
+ * @returns {{presets: Array, errors: string[]}}
+ */
+function parsePresetFile(raw) {
+  let list = raw;
+  if (raw && !Array.isArray(raw) && Array.isArray(raw.presets)) {
+    list = raw.presets;
+  } else if (!Array.isArray(raw)) {
+    list = [raw];
+  }
+
+  const presets = [];
+  const errors = [];
+  list.forEach(item => {
+    const result = normalizeSettingsPreset(item);
+    errors.push(...result.errors);
+    if (result.preset) presets.push(result.preset);
+  });
+
+  return { presets, errors };
+}
+
+/**
+ * Find the preset whose settings are exactly the given ones
+ * @param {Array} presets - Presets to search
+ * @param {Object} settings - Settings as returned by getSettings
+ * @returns {Object|null}
+ */
+function findMatchingPreset(presets, settings) {
+  return presets.find(preset =>
+    Object.keys(PRESET_FIELDS).every(field => preset.settings[field] === settings[field])
+  ) || null;
+}
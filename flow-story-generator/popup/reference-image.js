@@ -0,0 +1,242 @@
+/**
+ * Flow Story Generator - Reference Image Preparation
+ * Resizes, crops and converts character reference images before they are
+ * added to the library, and warns about files Flow is likely to reject
+ */
+
+// Types Flow's add ingredient dialog accepts
+const FLOW_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/avif'];
+
+// Types the popup can encode when converting
+const ENCODABLE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Beyond these, uploads tend to be refused or come out as a poor likeness
+const REFERENCE_MAX_BYTES = 20 * 1024 * 1024;
+const REFERENCE_MIN_SIDE = 256;
+const REFERENCE_MAX_RATIO = 4;
+
+// Width / height of each aspect choice; null keeps the image's own
+const REFERENCE_ASPECTS = {
+  original: null,
+  '1:1': 1,
+  '4:3': 4 / 3,
+  '3:4': 3 / 4,
+  '16:9': 16 / 9,
+  '9:16': 9 / 16
+};
+
+const DEFAULT_IMAGE_OPTIONS = {
+  // Longest side in pixels, 0 for no limit
+  maxDimension: 1536,
+  aspect: 'original',
+  // 'crop' cuts the image to the aspect, 'pad' adds borders in the fill
+  fit: 'crop',
+  // Behind transparent pixels and borders: 'transparent' | 'white' | 'black'
+  fill: 'transparent',
+  // 'png' (lossless) | 'jpeg' | 'original'
+  format: 'png'
+};
+
+/**
+ * Work out the crop, canvas size and placement for an image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - See DEFAULT_IMAGE_OPTIONS
+ * @returns {{source: Object, canvas: Object, target: Object, changed: boolean}}
+ *   source: { x, y, width, height } of the image to use; canvas: output
+ *   { width, height }; target: { x, y, width, height } it is drawn at;
+ *   changed: false when the image stays as it is
+ */
+function planReferenceImage(width, height, options) {
+  const ratio = REFERENCE_ASPECTS[options.aspect] || null;
+  let source = { x: 0, y: 0, width, height };
+  let frame = { width, height };
+  let offset = { x: 0, y: 0 };
+
+  if (ratio && Math.abs(width / height - ratio) > 0.01) {
+    if (options.fit === 'pad') {
+      frame = width / height > ratio
+        ? { width, height: Math.round(width / ratio) }
+        : { width: Math.round(height * ratio), height };
+      offset = { x: Math.round((frame.width - width) / 2), y: Math.round((frame.height - height) / 2) };
+    } else {
+      // Keep the middle of the image
+      source = width / height > ratio
+        ? { x: Math.round((width - height * ratio) / 2), y: 0, width: Math.round(height * ratio), height }
+        : { x: 0, y: Math.round((height - width / ratio) / 2), width, height: Math.round(width / ratio) };
+      frame = { width: source.width, height: source.height };
+    }
+  }
+
+  const longest = Math.max(frame.width, frame.height);
+  const scale = options.maxDimension > 0 && longest > options.maxDimension ? options.maxDimension / longest : 1;
+
+  return {
+    source,
+    canvas: { width: Math.max(Math.round(frame.width * scale), 1), height: Math.max(Math.round(frame.height * scale), 1) },
+    target: {
+      x: Math.round(offset.x * scale),
+      y: Math.round(offset.y * scale),
+      width: Math.max(Math.round(source.width * scale), 1),
+      height: Math.max(Math.round(source.height * scale), 1)
+    },
+    changed: scale < 1 || frame.width !== width || frame.height !== height
+  };
+}
+
+/**
+ * Type a prepared image is saved as
+ * @param {string} type - MIME type of the file
+ * @param {string} format - 'png' | 'jpeg' | 'original'
+ * @returns {string}
+ */
+function referenceOutputType(type, format) {
+  if (format === 'jpeg') return 'image/jpeg';
+  if (format === 'original' && ENCODABLE_IMAGE_TYPES.includes(type)) return type;
+  return 'image/png';
+}
+
+/**
+ * Warnings for an image Flow is likely to reject or use badly
+ * @param {Object} image - { name, bytes, width, height }; width and
+ *   height may be unknown
+ * @returns {string[]}
+ */
+function referenceImageWarnings(image) {
+  const warnings = [];
+
+  if (image.bytes > REFERENCE_MAX_BYTES) {
+    warnings.push(`${image.name}: ${formatImageBytes(image.bytes)} is more than Flow takes; lower the max size`);
+  }
+  if (image.width && image.height) {
+    const ratio = Math.max(image.width / image.height, image.height / image.width);
+    if (Math.min(image.width, image.height) < REFERENCE_MIN_SIDE) {
+      warnings.push(`${image.name}: ${image.width}×${image.height} is small; Flow may reject it or lose the likeness`);
+    }
+    if (ratio > REFERENCE_MAX_RATIO) {
+      warnings.push(`${image.name}: ${image.width}×${image.height} is very narrow; Flow may reject it, crop it to an aspect`);
+    }
+  }
+  return warnings;
+}
+
+/**
+ * Size in KB or MB
+ * @param {number} bytes - Size
+ * @returns {string}
+ */
+function formatImageBytes(bytes) {
+  return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+/**
+ * Read a blob as a data URL
+ * @param {Blob} blob - Blob to read
+ * @returns {Promise<string>}
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('Could not read the image'));
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Draw the planned image and encode it
+ * @param {ImageBitmap} bitmap - Decoded image
+ * @param {Object} plan - From planReferenceImage
+ * @param {string} fill - Background fill
+ * @param {string} type - Output MIME type
+ * @returns {Promise<Blob>}
+ */
+function renderReferenceImage(bitmap, plan, fill, type) {
+  const canvas = document.createElement('canvas');
+  canvas.width = plan.canvas.width;
+  canvas.height = plan.canvas.height;
+  const context = canvas.getContext('2d');
+
+  // JPEG has no transparency; without a fill it would come out black
+  const background = fill === 'transparent' && type === 'image/jpeg' ? 'white' : fill;
+  if (background !== 'transparent') {
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  context.imageSmoothingQuality = 'high';
+  const { source, target } = plan;
+  context.drawImage(bitmap, source.x, source.y, source.width, source.height, target.x, target.y, target.width, target.height);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type, 0.92);
+  });
+}
+
+/**
+ * Prepare an image file for the character library
+ * @param {File} file - Image file
+ * @param {Object} options - See DEFAULT_IMAGE_OPTIONS
+ * @returns {Promise<Object>} { dataUrl, type, bytes, width, height, summary, warnings }
+ * @throws {Error} When the file is not an image the popup or Flow can read
+ */
+async function prepareReferenceImage(file, options) {
+  let bitmap = null;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    // e.g. HEIC, which Flow takes but Chrome cannot decode
+  }
+
+  if (!bitmap) {
+    // HEIC files often come without a type
+    const type = file.type || (/\.heic$/i.test(file.name) ? 'image/heic' : '');
+    if (!FLOW_IMAGE_TYPES.includes(type)) {
+      throw new Error(`${file.name} could not be read as an image`);
+    }
+    const image = { name: file.name, bytes: file.size };
+    return {
+      dataUrl: await blobToDataUrl(new Blob([file], { type })),
+      type,
+      bytes: file.size,
+      width: null,
+      height: null,
+      summary: `${file.name}: kept as it is (${formatImageBytes(file.size)}), it cannot be resized here`,
+      warnings: referenceImageWarnings(image)
+    };
+  }
+
+  const { width, height } = bitmap;
+  const plan = planReferenceImage(width, height, options);
+  const type = referenceOutputType(file.type, options.format);
+  // Transparent pixels only change with a fill if the type can have them
+  const filled = options.fill !== 'transparent' && file.type !== 'image/jpeg';
+
+  let blob = file;
+  if (plan.changed || type !== file.type || filled) {
+    try {
+      blob = await renderReferenceImage(bitmap, plan, options.fill, type);
+    } finally {
+      bitmap.close();
+    }
+  } else {
+    bitmap.close();
+  }
+
+  const result = {
+    width: blob === file ? width : plan.canvas.width,
+    height: blob === file ? height : plan.canvas.height,
+    type: blob.type || type,
+    bytes: blob.size
+  };
+  const format = (t) => t.replace('image/', '').toUpperCase();
+
+  return {
+    ...result,
+    dataUrl: await blobToDataUrl(blob),
+    summary: blob === file
+      ? `${file.name}: ${width}×${height} ${format(result.type)} kept as it is (${formatImageBytes(result.bytes)})`
+      : `${file.name}: ${width}×${height} ${format(file.type || 'image/?')} → ${result.width}×${result.height} ${format(result.type)} (${formatImageBytes(result.bytes)})`,
+    warnings: referenceImageWarnings({ name: file.name, ...result })
+  };
+}
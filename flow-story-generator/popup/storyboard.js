@@ -0,0 +1,412 @@
+/**
+ * Flow Story Generator - Storyboard Import
+ * Parses JSON/CSV storyboards into validated scene objects and
+ * resolves @character tags in prompts
+ */
+
+// Per-scene settings that may override the run settings, with the same
+// limits as the Advanced Settings inputs. Timeout is given in seconds.
+const SCENE_SETTING_LIMITS = {
+  timeout: { min: 30, max: 180, label: 'timeout (seconds)' },
+  delay: { min: 500, max: 10000, label: 'delay (ms)' },
+  retries: { min: 1, max: 5, label: 'retries' }
+};
+
+const CSV_COLUMNS = ['id', 'title', 'prompt', 'references', 'chainfrom', ...Object.keys(SCENE_SETTING_LIMITS)];
+
+// CSV columns named "var:<name>" set a template variable for the scene
+const CSV_VARIABLE_PREFIX = 'var:';
+const VARIABLE_NAME_PATTERN = /^[a-z][\w-]*(?:\.[a-z][\w-]*)?$/i;
+
+// Scene references are fetched by the content script: web images or
+// images inlined as data URLs
+const REFERENCE_URL_PATTERN = /^(?:https?:\/\/\S+|data:image\/[\w.+-]+[;,])/i;
+
+/**
+ * Build scenes from plain text, one prompt per line
+ * @param {string} text - Textarea contents
+ * @returns {Array} Scene objects
+ */
+function scenesFromLines(text) {
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line)
+    .map((prompt, index) => ({
+      id: String(index + 1),
+      prompt,
+      references: [],
+      settings: {}
+    }));
+}
+
+/**
+ * Parse a storyboard file
+ * @param {string} text - File contents
+ * @param {string} filename - File name, used to pick the format
+ * @returns {{scenes: Array, errors: string[], warnings: string[]}}
+ */
+function parseStoryboard(text, filename) {
+  const content = text.replace(/^\uFEFF/, '');
+  const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(content);
+
+  return isJson ? parseStoryboardJson(content) : parseStoryboardCsv(content);
+}
+
+/**
+ * Parse a JSON storyboard: either an array of scenes or { scenes: [...] }
+ */
+function parseStoryboardJson(text) {
+  const result = { scenes: [], errors: [], warnings: [] };
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    result.errors.push(`Invalid JSON: ${error.message}`);
+    return result;
+  }
+
+  const rawScenes = Array.isArray(data) ? data : data && data.scenes;
+  if (!Array.isArray(rawScenes)) {
+    result.errors.push('JSON storyboard must be an array of scenes or an object with a "scenes" array');
+    return result;
+  }
+
+  rawScenes.forEach((raw, index) => {
+    const label = `Scene ${index + 1}`;
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      result.errors.push(`${label}: expected an object`);
+      return;
+    }
+
+    const settings = raw.settings || {};
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+      result.errors.push(`${label}: "settings" must be an object`);
+      return;
+    }
+
+    const scene = normalizeScene({
+      id: raw.id,
+      title: raw.title,
+      prompt: raw.prompt,
+      references: raw.references,
+      chainFrom: raw.chainFrom,
+      variables: raw.variables,
+      settings
+    }, index, label, result.errors);
+
+    if (scene) result.scenes.push(scene);
+  });
+
+  checkSceneIds(result.scenes, result.errors);
+  checkSceneChains(result.scenes, result.errors);
+  return result;
+}
+
+/**
+ * Parse a CSV storyboard with a header row. Columns: id, title, prompt,
+ * references and chainFrom (separated by "|"), timeout, delay, retries,
+ * and var:<name> for template variables.
+ */
+function parseStoryboardCsv(text) {
+  const result = { scenes: [], errors: [], warnings: [] };
+  const rows = parseCsv(text).filter(row => row.some(cell => cell.trim()));
+
+  if (rows.length === 0) {
+    result.errors.push('CSV storyboard is empty');
+    return result;
+  }
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  if (!header.includes('prompt')) {
+    result.errors.push('CSV header must include a "prompt" column');
+    return result;
+  }
+
+  const unknown = header.filter(column => column && !CSV_COLUMNS.includes(column) && !column.startsWith(CSV_VARIABLE_PREFIX));
+  if (unknown.length > 0) {
+    result.warnings.push(`Ignoring unknown columns: ${unknown.join(', ')}`);
+  }
+
+  rows.slice(1).forEach((row, index) => {
+    // Row numbers match the spreadsheet (header is row 1)
+    const label = `Row ${index + 2}`;
+    const raw = { settings: {}, variables: {} };
+
+    header.forEach((column, col) => {
+      const value = (row[col] || '').trim();
+      if (!value) return;
+
+      if (column.startsWith(CSV_VARIABLE_PREFIX)) {
+        raw.variables[column.substring(CSV_VARIABLE_PREFIX.length)] = value;
+      } else if (column in SCENE_SETTING_LIMITS) {
+        raw.settings[column] = value;
+      } else if (column === 'references') {
+        raw.references = value.split('|').map(ref => ref.trim()).filter(ref => ref);
+      } else if (column === 'chainfrom') {
+        raw.chainFrom = value.split('|').map(id => id.trim()).filter(id => id);
+      } else if (CSV_COLUMNS.includes(column)) {
+        raw[column] = value;
+      }
+    });
+
+    const scene = normalizeScene(raw, index, label, result.errors);
+    if (scene) result.scenes.push(scene);
+  });
+
+  checkSceneIds(result.scenes, result.errors);
+  checkSceneChains(result.scenes, result.errors);
+  return result;
+}
+
+/**
+ * Validate one raw scene and convert it to the scene object format
+ * @param {Object} raw - Raw scene fields
+ * @param {number} index - Zero-based scene position
+ * @param {string} label - Row label used in error messages
+ * @param {string[]} errors - Error list to append to
+ * @returns {Object|null} Scene, or null when invalid
+ */
+function normalizeScene(raw, index, label, errors) {
+  const errorCount = errors.length;
+
+  const prompt = typeof raw.prompt === 'string' ? raw.prompt.trim() : '';
+  if (!prompt) {
+    errors.push(`${label}: prompt is required`);
+  }
+
+  let id = String(index + 1);
+  if (raw.id !== undefined && raw.id !== null && raw.id !== '') {
+    if (typeof raw.id !== 'string' && typeof raw.id !== 'number') {
+      errors.push(`${label}: id must be a string or number`);
+    } else {
+      id = String(raw.id).trim();
+    }
+  }
+
+  if (raw.title !== undefined && typeof raw.title !== 'string') {
+    errors.push(`${label}: title must be a string`);
+  }
+
+  const references = raw.references === undefined ? [] : raw.references;
+  if (!Array.isArray(references) || references.some(ref => typeof ref !== 'string')) {
+    errors.push(`${label}: references must be a list of strings`);
+  } else {
+    references.forEach((ref, r) => {
+      if (!REFERENCE_URL_PATTERN.test(ref.trim())) {
+        const shown = ref.length > 60 ? `${ref.substring(0, 60)}...` : ref;
+        errors.push(`${label}: reference ${r + 1} must be an http(s) or data:image URL, got "${shown}"`);
+      }
+    });
+  }
+
+  // Scene ids this scene continues from; absent means the previous scene
+  let chainFrom;
+  if (raw.chainFrom === null || raw.chainFrom === NO_CHAIN) {
+    chainFrom = [];
+  } else if (raw.chainFrom !== undefined) {
+    const list = Array.isArray(raw.chainFrom) ? raw.chainFrom : [raw.chainFrom];
+    if (list.some(item => (typeof item !== 'string' && typeof item !== 'number') || !String(item).trim())) {
+      errors.push(`${label}: chainFrom must be a scene id, a list of scene ids or "${NO_CHAIN}"`);
+    } else {
+      chainFrom = list.map(item => String(item).trim()).filter(id => id !== NO_CHAIN);
+    }
+  }
+
+  const variables = {};
+  if (raw.variables !== undefined) {
+    if (!raw.variables || typeof raw.variables !== 'object' || Array.isArray(raw.variables)) {
+      errors.push(`${label}: variables must be an object`);
+    } else {
+      for (const [name, value] of Object.entries(raw.variables)) {
+        if (!VARIABLE_NAME_PATTERN.test(name)) {
+          errors.push(`${label}: invalid variable name "${name}"`);
+        } else if (typeof value !== 'string' && typeof value !== 'number') {
+          errors.push(`${label}: variable "${name}" must be text`);
+        } else {
+          variables[name.toLowerCase()] = String(value);
+        }
+      }
+    }
+  }
+
+  const settings = {};
+  for (const [key, value] of Object.entries(raw.settings || {})) {
+    const limits = SCENE_SETTING_LIMITS[key];
+    if (!limits) {
+      errors.push(`${label}: unknown setting "${key}"`);
+      continue;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < limits.min || number > limits.max) {
+      errors.push(`${label}: ${limits.label} must be between ${limits.min} and ${limits.max}, got "${value}"`);
+      continue;
+    }
+
+    settings[key] = key === 'timeout' ? number * 1000 : number;
+  }
+
+  if (errors.length > errorCount) return null;
+
+  const scene = { id, prompt, references, settings };
+  if (raw.title && raw.title.trim()) {
+    scene.title = raw.title.trim();
+  }
+  if (chainFrom) {
+    scene.chainFrom = chainFrom;
+  }
+  if (Object.keys(variables).length > 0) {
+    scene.variables = variables;
+  }
+  return scene;
+}
+
+/**
+ * Report duplicate scene ids
+ */
+function checkSceneIds(scenes, errors) {
+  const seen = new Set();
+  scenes.forEach(scene => {
+    if (seen.has(scene.id)) {
+      errors.push(`Scene id "${scene.id}" is used more than once`);
+    }
+    seen.add(scene.id);
+  });
+}
+
+/**
+ * Report chainFrom ids that don't exist and chains that form a loop
+ */
+function checkSceneChains(scenes, errors) {
+  errors.push(...resolveSceneChains(scenes).errors);
+}
+
+/**
+ * Split CSV text into rows of cells. Handles quoted fields, escaped quotes
+ * and the "," / ";" / tab delimiters spreadsheets export with.
+ * @param {string} text - CSV text
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+  const delimiter = detectCsvDelimiter(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Guess the delimiter from the header line
+ */
+function detectCsvDelimiter(text) {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const candidates = [',', ';', '\t'];
+  let best = ',';
+  let bestCount = 0;
+
+  candidates.forEach(candidate => {
+    const count = headerLine.split(candidate).length - 1;
+    if (count > bestCount) {
+      best = candidate;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+// Character tags in prompts, e.g. "@wizard faces @dragon". The "@" must
+// start the text or follow a non-word character, so an address like
+// bob@studio.com is not a tag. Group 1 is what came before the "@", group 2
+// the tag name.
+const CHARACTER_TAG_PATTERN = /(^|[^\w@])@([a-z0-9][\w-]*)/gi;
+
+/**
+ * Normalize a character name into its tag form
+ * @param {string} name - Character name as typed
+ * @returns {string} Lowercase tag name without "@"
+ */
+function normalizeCharacterName(name) {
+  return name.trim().replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * Find the character tags a prompt mentions, in order of first mention
+ * @param {string} prompt - Prompt text
+ * @returns {string[]} Tag names without "@", lowercase, no duplicates
+ */
+function extractCharacterTags(prompt) {
+  const tags = [];
+  for (const match of prompt.matchAll(CHARACTER_TAG_PATTERN)) {
+    const tag = match[2].toLowerCase();
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * Resolve character tags for every scene against the character library.
+ * Tags become plain words in the prompt sent to Flow, and each scene gets
+ * the list of characters to upload.
+ * @param {Array} scenes - Scene objects
+ * @param {Array} characters - Character library ({ name, images })
+ * @returns {{scenes: Array, errors: string[]}}
+ */
+function resolveCharacterTags(scenes, characters) {
+  const known = new Set(characters.map(character => character.name));
+  const errors = [];
+
+  const resolved = scenes.map((scene, index) => {
+    const tags = extractCharacterTags(scene.prompt);
+    const unknown = tags.filter(tag => !known.has(tag));
+
+    if (unknown.length > 0) {
+      errors.push(`Scene ${scene.id} (${index + 1}): unknown character(s) ${unknown.map(tag => '@' + tag).join(', ')}`);
+    }
+
+    return {
+      ...scene,
+      prompt: scene.prompt.replace(CHARACTER_TAG_PATTERN, '$1$2'),
+      characters: tags
+    };
+  });
+
+  return { scenes: resolved, errors };
+}
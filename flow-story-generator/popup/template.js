@@ -0,0 +1,124 @@
+/**
+ * Flow Story Generator - Prompt Templates
+ * Expands run-level prefix/suffix blocks and {{variables}} into the final
+ * prompt of every scene
+ */
+
+// {{name}} or {{character.description}}, spaces inside the braces allowed
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([a-z][\w-]*(?:\.[a-z][\w-]*)?)\s*\}\}/gi;
+
+// Variables may use other variables; deeper nesting is most likely a cycle
+const TEMPLATE_MAX_DEPTH = 10;
+
+/**
+ * Parse the variables textarea: one "name = value" per line. Empty lines
+ * and lines starting with "#" are ignored.
+ * @param {string} text - Variables text
+ * @returns {{variables: Object, errors: string[]}}
+ */
+function parseTemplateVariables(text) {
+  const variables = {};
+  const errors = [];
+
+  text.split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const match = trimmed.match(/^([a-z][\w-]*(?:\.[a-z][\w-]*)?)\s*=\s*(.*)$/i);
+    if (!match) {
+      errors.push(`Variables line ${index + 1}: expected "name = value"`);
+      return;
+    }
+
+    variables[match[1].toLowerCase()] = match[2].trim();
+  });
+
+  return { variables, errors };
+}
+
+/**
+ * Values available to a scene: character descriptions, then run
+ * variables, then the scene's own overrides
+ * @param {Object} runVariables - Parsed run variables
+ * @param {Array} characters - Character library ({ name, description })
+ * @param {Object} sceneVariables - Scene overrides
+ * @returns {Object} Lowercase name -> value
+ */
+function collectTemplateValues(runVariables, characters, sceneVariables) {
+  const values = {};
+
+  characters.forEach(character => {
+    if (character.description) {
+      values[`${character.name}.description`] = character.description;
+    }
+  });
+
+  Object.assign(values, runVariables);
+  Object.entries(sceneVariables || {}).forEach(([name, value]) => {
+    values[name.toLowerCase()] = String(value);
+  });
+
+  return values;
+}
+
+/**
+ * Replace {{variables}} in a text
+ * @param {string} text - Text with variables
+ * @param {Object} values - Lowercase name -> value
+ * @returns {{text: string, missing: string[], cyclic: boolean}}
+ */
+function expandTemplate(text, values) {
+  const missing = new Set();
+  let result = text;
+
+  for (let depth = 0; depth < TEMPLATE_MAX_DEPTH; depth++) {
+    let replaced = false;
+    result = result.replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => {
+      const key = name.toLowerCase();
+      if (!(key in values)) {
+        missing.add(key);
+        return match;
+      }
+      replaced = true;
+      return values[key];
+    });
+
+    if (!replaced) {
+      return { text: result, missing: Array.from(missing), cyclic: false };
+    }
+  }
+
+  return { text: result, missing: Array.from(missing), cyclic: true };
+}
+
+/**
+ * Build the final prompt of every scene: prefix + scene prompt + suffix,
+ * with variables expanded
+ * @param {Array} scenes - Scene objects (prompt, optional variables)
+ * @param {Object} template - { prefix, suffix, variables } as typed in the popup
+ * @param {Array} characters - Character library
+ * @returns {{scenes: Array, errors: string[]}}
+ */
+function applyPromptTemplate(scenes, template, characters) {
+  const { variables, errors } = parseTemplateVariables(template.variables || '');
+  const prefix = (template.prefix || '').trim();
+  const suffix = (template.suffix || '').trim();
+
+  const expanded = scenes.map((scene, index) => {
+    const values = collectTemplateValues(variables, characters, scene.variables);
+    const text = [prefix, scene.prompt, suffix].filter(part => part).join(' ');
+    const result = expandTemplate(text, values);
+    const label = `Scene ${scene.id} (${index + 1})`;
+
+    if (result.missing.length > 0) {
+      errors.push(`${label}: unknown variable(s) ${result.missing.map(name => `{{${name}}}`).join(', ')}`);
+    }
+    if (result.cyclic) {
+      errors.push(`${label}: variables are nested too deep, check for a variable that uses itself`);
+    }
+
+    return { ...scene, prompt: result.text.replace(/\s+/g, ' ').trim() };
+  });
+
+  return { scenes: expanded, errors };
+}